@@ -0,0 +1,192 @@
+// build-advisor/buildOrdersPlugin.js
+// Vite plugin for public/build-orders: validates every build file and
+// generates index.json from them, so the dropdown never lists a build that
+// is missing or broken.
+// - `vite` (dev): rewrites index.json and the root copy whenever a build
+//   file changes and warns about broken files.
+// - `vite build` (and so `predeploy`): read-only; fails with a report if a
+//   file is broken, index.json is out of date or the root copy differs.
+// - `npm run index:builds` (indexBuilds.js): rewrites index.json and the root
+//   copy only; fails if a file is broken.
+// The repository root keeps a copy in public/build-orders that the app
+// doesn't serve. It is written from this one, never edited by hand.
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseTitleMeta, validateBuild, formatValidationError } from "./src/buildUtils";
+import { analyzeBuild } from "./src/actionCatalog";
+
+const INDEX_FILE = "index.json";
+// Relative to the app root
+export const MIRROR_DIR = "../public/build-orders";
+
+// The only place index entries are made; the ingestion script runs
+// `npm run index:builds` rather than writing index.json itself
+function indexEntry(id, build) {
+  const { matchup, style } = parseTitleMeta(build.name);
+  return {
+    id,
+    name: build.name,
+    race: analyzeBuild(build).build.race,
+    matchup,
+    style,
+    steps: build.steps.length,
+  };
+}
+
+function readIndex(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, INDEX_FILE), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Scans dir and returns { index, problems }: the generated index plus one
+// human-readable line per broken file or index mismatch.
+export function checkBuildOrders(dir) {
+  const problems = [];
+  const index = [];
+
+  const files = fs.readdirSync(dir).filter(f => f.endsWith(".json") && f !== INDEX_FILE).sort();
+  for (const file of files) {
+    let build;
+    try {
+      build = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    } catch (err) {
+      problems.push(`${file}: not valid JSON (${err.message})`);
+      continue;
+    }
+    const errors = validateBuild(build);
+    if (errors.length) {
+      for (const e of errors) problems.push(`${file}: ${formatValidationError(e)}`);
+      continue;
+    }
+    index.push(indexEntry(path.basename(file, ".json"), build));
+  }
+  index.sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
+
+  const current = readIndex(dir);
+  const drift = [];
+  if (!Array.isArray(current)) {
+    drift.push(`${INDEX_FILE}: missing or not a JSON array`);
+  } else {
+    const ids = new Set(files.map(f => path.basename(f, ".json")));
+    const listed = new Set(current.map(e => e.id));
+    for (const e of current) {
+      if (!ids.has(e.id)) drift.push(`${INDEX_FILE}: entry "${e.id}" has no ${e.id}.json`);
+    }
+    for (const e of index) {
+      if (!listed.has(e.id)) drift.push(`${e.id}.json: missing from ${INDEX_FILE}`);
+    }
+    if (!drift.length && JSON.stringify(current) !== JSON.stringify(index)) {
+      drift.push(`${INDEX_FILE}: entries are out of date with their files`);
+    }
+  }
+
+  return { index, problems, drift };
+}
+
+// Where the copy in mirrorDir differs from dir: files missing from either
+// side, differing contents and broken files.
+export function checkMirror(dir, mirrorDir) {
+  if (!fs.existsSync(mirrorDir)) return [`${mirrorDir}: missing`];
+  const read = file => {
+    try {
+      return JSON.stringify(JSON.parse(fs.readFileSync(file, "utf8")));
+    } catch {
+      return null;
+    }
+  };
+  const jsonFiles = d => fs.readdirSync(d).filter(f => f.endsWith(".json"));
+  const files = new Set(jsonFiles(dir));
+  const mirrored = new Set(jsonFiles(mirrorDir));
+
+  const lines = [];
+  for (const file of [...new Set([...files, ...mirrored])].sort()) {
+    if (!mirrored.has(file)) {
+      lines.push(`${file}: missing from the copy`);
+    } else if (!files.has(file)) {
+      const text = read(path.join(mirrorDir, file));
+      const broken = text === null ? "not valid JSON" : file !== INDEX_FILE && validateBuild(JSON.parse(text)).length ? "fails validation" : "";
+      lines.push(`${file}: only in the copy${broken ? ` (${broken})` : ""}`);
+    } else if (read(path.join(dir, file)) !== read(path.join(mirrorDir, file))) {
+      lines.push(`${file}: contents differ`);
+    }
+  }
+  return lines;
+}
+
+export function writeIndex(dir, index) {
+  const file = path.join(dir, INDEX_FILE);
+  const text = `${JSON.stringify(index, null, 2)}\n`;
+  if (!fs.existsSync(file) || fs.readFileSync(file, "utf8") !== text) fs.writeFileSync(file, text);
+}
+
+// Makes mirrorDir an exact copy of dir's JSON files
+export function syncMirror(dir, mirrorDir) {
+  fs.mkdirSync(mirrorDir, { recursive: true });
+  const jsonFiles = d => fs.readdirSync(d).filter(f => f.endsWith(".json"));
+  const files = jsonFiles(dir);
+  for (const file of jsonFiles(mirrorDir)) {
+    if (!files.includes(file)) fs.rmSync(path.join(mirrorDir, file));
+  }
+  for (const file of files) {
+    const text = fs.readFileSync(path.join(dir, file));
+    const target = path.join(mirrorDir, file);
+    if (!fs.existsSync(target) || !fs.readFileSync(target).equals(text)) fs.writeFileSync(target, text);
+  }
+}
+
+export function report(lines) {
+  return lines.map(line => `  - ${line}`).join("\n");
+}
+
+export function buildOrders() {
+  let dir;
+  let mirrorDir;
+  let serving = false;
+
+  return {
+    name: "build-advisor:build-orders",
+
+    configResolved(config) {
+      dir = path.join(config.publicDir, "build-orders");
+      mirrorDir = path.resolve(config.root, MIRROR_DIR);
+      serving = config.command === "serve";
+    },
+
+    buildStart() {
+      const { index, problems, drift } = checkBuildOrders(dir);
+      if (serving) {
+        writeIndex(dir, index);
+        syncMirror(dir, mirrorDir);
+        if (problems.length) this.warn(`Skipped broken build orders:\n${report(problems)}`);
+        return;
+      }
+      const stale = [...drift, ...checkMirror(dir, mirrorDir).map(line => `${MIRROR_DIR}/${line}`)];
+      const all = [...problems, ...stale];
+      if (all.length) {
+        this.error(
+          `public/build-orders has ${all.length} problem(s):\n${report(all)}` +
+          (stale.length ? `\nRun \`npm run index:builds\` to regenerate index.json and ${MIRROR_DIR}.` : "")
+        );
+      }
+    },
+
+    configureServer(server) {
+      // Keep index.json current while editing build files
+      const refresh = file => {
+        if (path.dirname(file) !== dir || path.basename(file) === INDEX_FILE) return;
+        const { index, problems } = checkBuildOrders(dir);
+        writeIndex(dir, index);
+        syncMirror(dir, mirrorDir);
+        if (problems.length) server.config.logger.warn(`Broken build orders:\n${report(problems)}`);
+      };
+      server.watcher.add(dir);
+      server.watcher.on("add", refresh);
+      server.watcher.on("change", refresh);
+      server.watcher.on("unlink", refresh);
+    },
+  };
+}
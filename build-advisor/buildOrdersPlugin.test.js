@@ -0,0 +1,75 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { MIRROR_DIR, checkBuildOrders, checkMirror, syncMirror } from "./buildOrdersPlugin";
+
+const BUILDS = path.join(import.meta.dirname, "public/build-orders");
+// A build file with a missing name, the example of a broken one
+const BAD_BUILD = path.join(import.meta.dirname, "src/fixtures/bad_json.json");
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "build-orders-"));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const copy = (from, name = path.basename(from)) => fs.copyFileSync(from, path.join(dir, name));
+
+describe("checkBuildOrders", () => {
+  it("finds the bundled builds and their index consistent", () => {
+    const { index, problems, drift } = checkBuildOrders(BUILDS);
+    expect(problems).toEqual([]);
+    expect(drift).toEqual([]);
+    expect(index.length).toBeGreaterThan(0);
+  });
+
+  it("reports broken files and index drift", () => {
+    copy(path.join(BUILDS, "189949.json"));
+    copy(BAD_BUILD);
+    fs.writeFileSync(path.join(dir, "truncated.json"), "{ \"name\": ");
+    fs.writeFileSync(path.join(dir, "index.json"), JSON.stringify([{ id: "gone", name: "Gone" }]));
+
+    const { index, problems, drift } = checkBuildOrders(dir);
+    expect(index.map(e => e.id)).toEqual(["189949"]);
+    expect(problems).toContain("bad_json.json: name: must be a string");
+    expect(problems.some(p => p.startsWith("truncated.json: not valid JSON"))).toBe(true);
+    expect(drift).toEqual(['index.json: entry "gone" has no gone.json', "189949.json: missing from index.json"]);
+  });
+});
+
+describe("checkMirror", () => {
+  it("finds the root copy in step with the served builds", () => {
+    expect(checkMirror(BUILDS, path.join(import.meta.dirname, MIRROR_DIR))).toEqual([]);
+  });
+
+  it("lists files missing, extra or different in the copy", () => {
+    const mirror = path.join(dir, "mirror");
+    const served = path.join(dir, "served");
+    fs.mkdirSync(mirror);
+    fs.mkdirSync(served);
+    for (const d of [mirror, served]) fs.copyFileSync(path.join(BUILDS, "189949.json"), path.join(d, "189949.json"));
+    fs.copyFileSync(path.join(BUILDS, "000000.json"), path.join(served, "000000.json"));
+    fs.copyFileSync(BAD_BUILD, path.join(mirror, "bad_json.json"));
+
+    expect(checkMirror(served, mirror)).toEqual([
+      "000000.json: missing from the copy",
+      "bad_json.json: only in the copy (fails validation)",
+    ]);
+  });
+});
+
+describe("syncMirror", () => {
+  it("makes the copy match, removing files the builds no longer have", () => {
+    const mirror = path.join(dir, "mirror");
+    fs.mkdirSync(mirror);
+    fs.copyFileSync(BAD_BUILD, path.join(mirror, "bad_json.json"));
+    fs.writeFileSync(path.join(mirror, "189949.json"), "{}");
+
+    syncMirror(BUILDS, mirror);
+    expect(checkMirror(BUILDS, mirror)).toEqual([]);
+    expect(fs.existsSync(path.join(mirror, "bad_json.json"))).toBe(false);
+  });
+});
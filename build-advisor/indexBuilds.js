@@ -0,0 +1,24 @@
+// build-advisor/indexBuilds.js
+// `npm run index:builds`: rewrites public/build-orders/index.json from the
+// build files, and the repository root's copy of the folder, without a full
+// production build. Broken files are left out of the index and reported, and
+// the command fails.
+
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+import { runnerImport } from "vite";
+
+// Loaded through Vite so the app modules the plugin shares resolve as in the build
+const { module: plugin } = await runnerImport(fileURLToPath(new URL("./buildOrdersPlugin.js", import.meta.url)));
+const root = fileURLToPath(new URL(".", import.meta.url));
+const dir = fileURLToPath(new URL("./public/build-orders", import.meta.url));
+
+const { index, problems } = plugin.checkBuildOrders(dir);
+plugin.writeIndex(dir, index);
+plugin.syncMirror(dir, path.resolve(root, plugin.MIRROR_DIR));
+console.log(`public/build-orders/index.json: ${index.length} build(s), copied to ${plugin.MIRROR_DIR}`);
+if (problems.length) {
+  console.error(`Broken build orders (left out of the index):\n${plugin.report(problems)}`);
+  process.exitCode = 1;
+}
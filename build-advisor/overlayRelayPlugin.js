@@ -0,0 +1,68 @@
+// build-advisor/overlayRelayPlugin.js
+// Vite plugin giving `npm run dev` and `npm run preview` a small in-memory
+// relay at <base>__overlay, so an overlay running in another process (an OBS
+// browser source) can follow the Build Advisor. The Advisor PUTs its clock
+// anchor, build and branch choices there; /overlay polls it.
+// Static hosting (GitHub Pages) has no relay: there the overlay only follows
+// Advisor tabs in the same browser, over the BroadcastChannel.
+
+export const RELAY_PATH = "__overlay";
+const MAX_BODY = 1024 * 1024;
+
+// Connect-style middleware for the relay; `state` is
+// { version, anchor, build, branchChoices }, version going up with every change
+export function createRelay(base) {
+  const url = `${base}${RELAY_PATH}`;
+  let state = { version: 0, anchor: null, build: null, branchChoices: null };
+
+  return (req, res, next) => {
+    if (req.url.split("?")[0] !== url) return next();
+    res.setHeader("Cache-Control", "no-store");
+
+    if (req.method === "GET") {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(state));
+      return;
+    }
+    if (req.method !== "PUT") {
+      res.statusCode = 405;
+      res.end();
+      return;
+    }
+
+    let body = "";
+    req.on("data", chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY) req.destroy();
+    });
+    req.on("end", () => {
+      try {
+        const { anchor, build, branchChoices } = JSON.parse(body);
+        state = {
+          version: state.version + 1,
+          anchor: anchor === undefined ? state.anchor : anchor,
+          build: build === undefined ? state.build : build,
+          branchChoices: branchChoices === undefined ? state.branchChoices : branchChoices,
+        };
+        res.statusCode = 204;
+      } catch {
+        res.statusCode = 400;
+      }
+      res.end();
+    });
+  };
+}
+
+export function overlayRelay() {
+  return {
+    name: "build-advisor:overlay-relay",
+
+    configureServer(server) {
+      server.middlewares.use(createRelay(server.config.base));
+    },
+
+    configurePreviewServer(server) {
+      server.middlewares.use(createRelay(server.config.base));
+    },
+  };
+}
@@ -0,0 +1,52 @@
+import { EventEmitter } from "node:events";
+import { describe, expect, it } from "vitest";
+import { createRelay } from "./overlayRelayPlugin";
+
+// Sends one request through the relay; resolves to { status, body } or "next"
+function request(relay, method, url, body) {
+  return new Promise(resolve => {
+    const req = Object.assign(new EventEmitter(), { method, url, destroy() {} });
+    const res = {
+      statusCode: 200,
+      setHeader() {},
+      end: text => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }),
+    };
+    relay(req, res, () => resolve("next"));
+    if (body !== undefined) req.emit("data", body);
+    req.emit("end");
+  });
+}
+
+describe("createRelay", () => {
+  const anchor = { base: 12, startedAt: 1000, speed: 1.4 };
+  const build = { name: "Reaper expand", race: "Terran", steps: [] };
+
+  it("starts empty and passes other paths on", async () => {
+    const relay = createRelay("/sc2/");
+    expect(await request(relay, "GET", "/sc2/__overlay")).toEqual({
+      status: 200,
+      body: { version: 0, anchor: null, build: null, branchChoices: null },
+    });
+    expect(await request(relay, "GET", "/sc2/overlay")).toBe("next");
+  });
+
+  it("keeps what a PUT leaves out and counts versions", async () => {
+    const relay = createRelay("/");
+    const branchChoices = { "steps[4]": 1 };
+    expect((await request(relay, "PUT", "/__overlay", JSON.stringify({ anchor, build, branchChoices }))).status).toBe(204);
+    await request(relay, "PUT", "/__overlay", JSON.stringify({ anchor: { ...anchor, startedAt: null } }));
+    expect((await request(relay, "GET", "/__overlay?t=1")).body).toEqual({
+      version: 2,
+      anchor: { ...anchor, startedAt: null },
+      build,
+      branchChoices,
+    });
+  });
+
+  it("rejects bad bodies and other methods", async () => {
+    const relay = createRelay("/");
+    expect((await request(relay, "PUT", "/__overlay", "{")).status).toBe(400);
+    expect((await request(relay, "POST", "/__overlay")).status).toBe(405);
+    expect((await request(relay, "GET", "/__overlay")).body.version).toBe(0);
+  });
+});
@@ -0,0 +1,35 @@
+// build-advisor/src/ActionTag.jsx
+// Small icon + colour tags showing what kind of thing each item of a
+// step's action is, as resolved by the action catalog.
+
+import React from "react";
+import { resolveAction, splitActionItems } from "./actionCatalog";
+import { KIND_COLORS } from "./kindColors";
+
+const KIND_ICONS = {
+  structure: "🏗",
+  addon: "🔧",
+  unit: "⚔",
+  upgrade: "⬆",
+  ability: "✨",
+  unknown: "?",
+};
+
+export function ActionTags({ action, race }) {
+  return (
+    <span className="inline-flex flex-wrap gap-1">
+      {splitActionItems(action).map((item, i) => {
+        const kind = resolveAction(item.name, race)?.kind ?? "unknown";
+        return (
+          <span
+            key={i}
+            title={kind === "unknown" ? `"${item.name}" is not in the action catalog` : `${item.name}: ${kind}`}
+            className={`px-1.5 py-0.5 rounded-md border text-xs font-normal ${KIND_COLORS[kind]}`}
+          >
+            {KIND_ICONS[kind]} {kind}
+          </span>
+        );
+      })}
+    </span>
+  );
+}
@@ -1,6 +1,15 @@
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import BuildAdvisor from "./BuildAdvisor";
 import { BuildJsonTutorial } from "./pages/BuildJsonTutorial";
+import { BuildEditor } from "./pages/BuildEditor";
+import { BuildLibrary } from "./pages/BuildLibrary";
+import { PasteImport } from "./pages/PasteImport";
+import { PracticeHistory } from "./pages/PracticeHistory";
+import { StreamOverlay } from "./pages/StreamOverlay";
+import { BuildCompare } from "./pages/BuildCompare";
+import { MyBuilds } from "./pages/MyBuilds";
+import { CheatSheet } from "./pages/CheatSheet";
+import { StepPopout } from "./pages/StepPopout";
 
 export default function App() {
   return (
@@ -8,6 +17,15 @@ export default function App() {
       <Routes>
       <Route path="/" element={<BuildAdvisor />} />
       <Route path="/tutorial" element={<BuildJsonTutorial />} />
+      <Route path="/editor" element={<BuildEditor />} />
+      <Route path="/library" element={<BuildLibrary />} />
+      <Route path="/import" element={<PasteImport />} />
+      <Route path="/history" element={<PracticeHistory />} />
+      <Route path="/overlay" element={<StreamOverlay />} />
+      <Route path="/compare" element={<BuildCompare />} />
+      <Route path="/my-builds" element={<MyBuilds />} />
+      <Route path="/cheat-sheet" element={<CheatSheet />} />
+      <Route path="/popout" element={<StepPopout />} />
       </Routes>
     </BrowserRouter>
   );
@@ -15,10 +15,48 @@
  *    - Add scripts `predeploy` and `deploy` in package.json pointing to `build-advisor/dist`
  *    - Run `npm run deploy`
  * 5. The public/build-orders JSON folder is served statically; use the Python ingestion script to update before deploying.
+ *    Its index.json is generated and checked at build time (see buildOrdersPlugin.js).
  */
 
 import React, { useEffect, useMemo, useState, useRef } from "react";
-import { Link } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import {
+  ALERT_MODES,
+  BuildValidationError,
+  activePath,
+  enrichSteps,
+  enrichSupplySteps,
+  formatTime,
+  formatValidationError,
+  isValidTime,
+  parseTimeSafe,
+  validateBuild,
+} from "./buildUtils";
+import { fetchBuildIndex, fetchLocalBuild } from "./bundledBuilds";
+import { GAME_SPEEDS, useGameClock } from "./useGameClock";
+import { useSpeech } from "./useSpeech";
+import { LATE_THRESHOLD, saveSession } from "./practiceSessions";
+import {
+  getOfflineBuild,
+  listOfflineBuilds,
+  removeOfflineBuild,
+  saveOfflineBuild,
+} from "./offlineBuilds";
+import { decodeBuild, readSharePayload } from "./shareLink";
+import { SharePanel } from "./SharePanel";
+import { openOverlayChannel, postToRelay, sameAnchor } from "./overlayChannel";
+import { loadKeymap, saveKeymap, useShortcuts } from "./keymap";
+import { ShortcutHelp } from "./ShortcutHelp";
+import { GanttTimeline } from "./GanttTimeline";
+import { analyzeBuild, replaceActionItem } from "./actionCatalog";
+import { ActionTags } from "./ActionTag";
+import { replaceMyBuild, saveMyBuild } from "./myBuilds";
+import { dueBetween, loadProfileReminders, remindersFor, saveProfileReminders } from "./reminders";
+import { ReminderLane, ReminderSettings } from "./ReminderLane";
+import { readReplay, replayToBuild } from "./replayImport";
+import { ReplayPicker } from "./ReplayPicker";
+import { simulateEconomy } from "./economy";
+import { ExportMenu } from "./ExportMenu";
 
 const DEFAULT_BUILD = {
   name: "Sample Terran Macro Opener",
@@ -28,56 +66,92 @@ const DEFAULT_BUILD = {
     { supply: 16, time: "0:06", action: "Barracks" },
     { supply: 19, time: "0:08", action: "Refinery" },
     { supply: 19, time: "0:12", action: "Orbital Command" },
-    { supply: 20, time: "0:015", action: "Command Center (Expand)" }
+    { supply: 20, time: "0:15", action: "Command Center (Expand)" }
   ]
 };
 
-function parseTimeSafe(t) {
-  if (!t || !t.includes(":")) return 0;
-  const [m, s] = t.split(":").map(n => Number(n) || 0);
-  return m * 60 + s;
-}
+// Every game starts at 12 supply (12 workers)
+const STARTING_SUPPLY = 12;
 
-function formatTime(seconds) {
-  const m = Math.floor(seconds / 60);
-  const s = seconds % 60;
-  return `${m}:${String(s).padStart(2, "0")}`;
-}
+const DEFAULT_SPEECH = { lead: 5, voice: "", rate: 1, volume: 1 };
+
+// Bank badge on step cards, by economy check status
+const BANK_COLORS = {
+  ok: "bg-neutral-800",
+  tight: "bg-yellow-700",
+  unaffordable: "bg-red-700",
+  "supply-blocked": "bg-orange-700",
+};
 
-// NEW: Validate build JSON (tolerant – allows extra keys)
-function validateBuild(json) {
-  if (!json || typeof json !== "object") return false;
-  if (typeof json.name !== "string") return false;
-  if (typeof json.race !== "string") return false;
-  if (!Array.isArray(json.steps)) return false;
-
-  for (const step of json.steps) {
-    if (!step || typeof step !== "object") return false;
-    if (typeof step.time !== "string") return false;
-    if (typeof step.supply !== "number") return false;
-    if (typeof step.action !== "string") return false;
+function loadStored(key, fallback) {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? { ...fallback, ...JSON.parse(saved) } : fallback;
+  } catch {
+    return fallback;
   }
+}
 
-  return true;
+// "Barracks", "Barracks and Refinery", "Depot, Barracks and Refinery"
+function joinActions(actions) {
+  if (actions.length < 2) return actions[0] ?? "";
+  return `${actions.slice(0, -1).join(", ")} and ${actions[actions.length - 1]}`;
 }
 
 export default function BuildAdvisor() {
-  const [seconds, setSeconds] = useState(0);
-  const [running, setRunning] = useState(false);
+  const location = useLocation();
+  const navigate = useNavigate();
+  // Last session (clock, selection, mute), unless a build was handed over
+  const [restored] = useState(() => (location.state?.build ? null : loadStored("build-advisor:session", null)));
+  const clock = useGameClock(restored?.anchor);
+  const { seconds, sync } = clock;
+  const [syncInput, setSyncInput] = useState(""); // "set current time to mm:ss"
+  // "time" follows the clock; "supply" follows the player's current supply count
+  const [advanceMode, setAdvanceMode] = useState("time");
+  const [currentSupply, setCurrentSupply] = useState(STARTING_SUPPLY);
+  const [supplyInput, setSupplyInput] = useState("");
+  // Practice run: when each step was actually finished
+  const [practice, setPractice] = useState({ marks: [], startedAt: null, saved: false });
+  // Branch picked at each decision point, keyed by the decision step's path
+  const [branchChoices, setBranchChoices] = useState(restored?.branchChoices ?? {});
   const [linkInput, setLinkInput] = useState("");
   const [loadingLink, setLoadingLink] = useState(false);
+  const [shareOpen, setShareOpen] = useState(false);
+  const [replay, setReplay] = useState(null); // dropped replay waiting for a player pick
+  const [keymap, setKeymap] = useState(loadKeymap);
+  const [helpOpen, setHelpOpen] = useState(false);
+  const [view, setView] = useState("cards"); // step cards or Gantt timeline
+  const [remoteUrl, setRemoteUrl] = useState(restored?.remoteUrl ?? ""); // URL the current build came from, if any
+  const [offlineBuilds, setOfflineBuilds] = useState([]); // URL builds kept for offline use
   const [availableBuilds, setAvailableBuilds] = useState([]);
-  const [selectedBuild, setSelectedBuild] = useState("");
+  const [selectedBuild, setSelectedBuild] = useState(restored?.selectedBuild ?? "");
+  // My Builds record the current build was opened from, so saving updates it
+  const [myBuildId, setMyBuildId] = useState(() => location.state?.myBuildId ?? restored?.myBuildId ?? null);
   const [build, setBuild] = useState(() => {
+    // Build handed over from the editor ("Open in Advisor")
+    if (location.state?.build && validateBuild(location.state.build).length === 0) {
+      return analyzeBuild(location.state.build).build;
+    }
     const saved = localStorage.getItem("build-advisor:build");
-    return saved ? JSON.parse(saved) : DEFAULT_BUILD;
+    return saved ? analyzeBuild(JSON.parse(saved)).build : DEFAULT_BUILD;
   });
+  // Races seen and actions the catalog doesn't know, for the warning panel
+  const catalogReport = useMemo(() => analyzeBuild(build), [build]);
 
-  const [muted, setMuted] = useState(false);
+  const [muted, setMuted] = useState(restored?.muted ?? false);
+  const speech = useSpeech();
+  const { speak, cancel: cancelSpeech } = speech;
+  const [speechSettings, setSpeechSettings] = useState(() => loadStored("build-advisor:speech", DEFAULT_SPEECH));
+  // Per-build alert mode chosen in the UI, keyed by build name
+  const [alertOverrides, setAlertOverrides] = useState(() => loadStored("build-advisor:alert-modes", {}));
+  const alertMode = alertOverrides[build.name] ?? build.alerts ?? "chime";
+  // Recurring macro reminders: the build's own plus the player's profile
+  const [profileReminders, setProfileReminders] = useState(loadProfileReminders);
+  const reminders = useMemo(() => remindersFor(build, profileReminders), [build, profileReminders]);
   const [errorMessage, setErrorMessage] = useState(""); // NEW: user-visible error text
+  const [errorDetails, setErrorDetails] = useState([]); // per-field validation problems
   const [successMessage, setSuccessMessage] = useState(""); // NEW: success text(""); // NEW: user-visible error text
   const fileInputRef = useRef(null); // NEW: local file loader(""); // NEW: success text(""); // NEW: user-visible error text
-  const dropRef = useRef(null);
   const [isDragging, setIsDragging] = useState(false); // NEW: drag-over visual state
 
   // NEW: Screen wake lock state (mobile keep-screen-on)
@@ -102,65 +176,349 @@ export default function BuildAdvisor() {
     }
   }
 
-  useEffect(() => {
-    fetch(`${import.meta.env.BASE_URL}build-orders/index.json`)
-      .then(r => r.json())
+  function loadInitial() {
+    listOfflineBuilds().then(setOfflineBuilds).catch(() => {});
+
+    fetchBuildIndex()
       .then(setAvailableBuilds)
       .catch(() => setAvailableBuilds([]));
 
+    // An explicit ?build= (e.g. Load in the Library) always wins over the restored session
     const params = new URLSearchParams(window.location.search);
     const buildId = params.get("build");
-    if (buildId) loadLocalBuild(buildId);
+    const sharePayload = readSharePayload(window.location.hash);
+    if (sharePayload) loadFromShareLink(sharePayload);
+    else if (buildId) loadLocalBuild(buildId);
+
+    // The handed-over build and ?build= are now in state; drop them so a reload restores the session instead
+    if (location.state || buildId) {
+      params.delete("build");
+      const search = params.toString();
+      navigate(`${location.pathname}${search ? `?${search}` : ""}${location.hash}`, { replace: true, state: null });
+    }
+  }
+
+  // Runs once on mount; the ref keeps the first render's loader so the
+  // effect has nothing to depend on
+  const loadInitialRef = useRef(loadInitial);
+  useEffect(() => {
+    loadInitialRef.current();
   }, []);
 
+  // Steps along the chosen branches, ending at the first undecided decision point
+  const activeSteps = useMemo(() => activePath(build.steps, branchChoices), [build, branchChoices]);
+  const decisionPending = activeSteps.at(-1)?.decision?.chosen === null;
+  const activeBuild = useMemo(() => ({ ...build, steps: activeSteps }), [build, activeSteps]);
+  const enrichedSteps = useMemo(() => enrichSteps(activeSteps), [activeSteps]);
+  const supplySteps = useMemo(() => enrichSupplySteps(activeSteps), [activeSteps]);
+  // Estimated bank before each step, and steps that look unaffordable or supply-blocked
+  const economy = useMemo(() => simulateEconomy(activeSteps, build.race), [activeSteps, build.race]);
+  const economyIssues = economy
+    .map((e, index) => ({ ...e, index }))
+    .filter(e => e.status === "unaffordable" || e.status === "supply-blocked");
+
+  // The waterfall is positioned either by game time or by supply
+  const progress = advanceMode === "supply" ? currentSupply : seconds;
+  const waterfallSteps = advanceMode === "supply" ? supplySteps : enrichedSteps;
+
+  const visibleSteps = useMemo(() => {
+    const done = waterfallSteps.filter(s => progress >= s.end);
+    const lastDone = done.slice(-2);
+    const remaining = waterfallSteps.filter(s => progress < s.end);
+    return [...lastDone, ...remaining];
+  }, [waterfallSteps, progress]);
+
+  // Keep every other window in step: Advisor tabs share the clock and the
+  // loaded build, /overlay and /popout windows follow. State adopted from
+  // another window isn't sent back out, so windows don't echo each other.
+  const overlayRef = useRef(null);
+  const overlayStateRef = useRef({ anchor: clock.anchor, build: activeBuild, branchChoices });
+  const receivedRef = useRef({ anchor: null, advisor: null }); // last state adopted from another window
+  const advisorState = useMemo(
+    () => ({ build, branchChoices, selectedBuild, remoteUrl, myBuildId }),
+    [build, branchChoices, selectedBuild, remoteUrl, myBuildId]
+  );
   useEffect(() => {
-    if (!running) return;
-    const id = setInterval(() => setSeconds(s => s + 1), 1000);
-    return () => clearInterval(id);
-  }, [running]);
-
-  const enrichedSteps = useMemo(() => {
-    return build.steps.map((step, i) => {
-      const start = parseTimeSafe(step.time);
-      const end = i < build.steps.length - 1
-        ? parseTimeSafe(build.steps[i + 1].time)
-        : Infinity;
-      return { ...step, start, end };
+    overlayStateRef.current = { anchor: clock.anchor, build: activeBuild, branchChoices };
+  });
+  useEffect(() => {
+    const channel = openOverlayChannel(msg => {
+      if (msg.type === "hello") {
+        const { build, branchChoices } = overlayStateRef.current;
+        channel.post({ type: "build", build, branchChoices });
+        channel.post({ type: "clock", anchor: overlayStateRef.current.anchor });
+      } else if (msg.type === "clock") {
+        receivedRef.current.anchor = msg.anchor;
+        sync(msg.anchor);
+      } else if (msg.type === "advisor") {
+        receivedRef.current.advisor = JSON.stringify(msg.state);
+        setBuild(msg.state.build);
+        setBranchChoices(msg.state.branchChoices);
+        setSelectedBuild(msg.state.selectedBuild);
+        setRemoteUrl(msg.state.remoteUrl);
+        setMyBuildId(msg.state.myBuildId);
+      }
     });
+    overlayRef.current = channel;
+    return () => channel.close();
+  }, [sync]);
+  useEffect(() => {
+    if (sameAnchor(clock.anchor, receivedRef.current.anchor)) return;
+    overlayRef.current?.post({ type: "clock", anchor: clock.anchor });
+  }, [clock.anchor]);
+  useEffect(() => {
+    overlayRef.current?.post({ type: "build", build: activeBuild, branchChoices });
+  }, [activeBuild, branchChoices]);
+  useEffect(() => {
+    if (JSON.stringify(advisorState) === receivedRef.current.advisor) return;
+    overlayRef.current?.post({ type: "advisor", state: advisorState });
+  }, [advisorState]);
+
+  // An OBS browser source is another process: it follows through the relay on
+  // the local dev / preview server. Static hosting has none.
+  const [relay, setRelay] = useState(true);
+  useEffect(() => {
+    if (relay) postToRelay({ anchor: clock.anchor, build: activeBuild, branchChoices }).then(ok => ok || setRelay(false));
+  }, [relay, clock.anchor, activeBuild, branchChoices]);
+
+  // Steps that share a start time are called out together
+  const callouts = useMemo(() => {
+    const byStart = new Map();
+    for (const step of enrichedSteps) {
+      if (!byStart.has(step.start)) byStart.set(step.start, []);
+      byStart.get(step.start).push(step.action);
+    }
+    return [...byStart].map(([start, actions]) => ({ start, text: joinActions(actions) }));
+  }, [enrichedSteps]);
+
+  useEffect(() => {
+    localStorage.setItem("build-advisor:speech", JSON.stringify(speechSettings));
+  }, [speechSettings]);
+
+  useEffect(() => {
+    localStorage.setItem("build-advisor:alert-modes", JSON.stringify(alertOverrides));
+  }, [alertOverrides]);
+
+  useEffect(() => {
+    saveProfileReminders(profileReminders);
+  }, [profileReminders]);
+
+  // Restored on the next visit
+  useEffect(() => {
+    localStorage.setItem("build-advisor:build", JSON.stringify(build));
   }, [build]);
 
-  const visibleSteps = useMemo(() => {
-    const done = enrichedSteps.filter(s => seconds >= s.end);
-    const lastDone = done.slice(-2);
-    const remaining = enrichedSteps.filter(s => seconds < s.end);
+  useEffect(() => {
+    localStorage.setItem("build-advisor:session", JSON.stringify({
+      anchor: clock.anchor,
+      selectedBuild,
+      remoteUrl,
+      myBuildId,
+      muted,
+      branchChoices,
+    }));
+  }, [clock.anchor, selectedBuild, remoteUrl, myBuildId, muted, branchChoices]);
 
-    // Audio notification on new completed step
-    if (done.length > 0 && !muted) {
-      const lastStep = done[done.length - 1];
-      if (audioRef.current && seconds === lastStep.end) {
-        audioRef.current.play().catch(() => {});
+  // Alerts fire when the clock crosses a step boundary. Ticks are not
+  // whole seconds, so compare against the previous render's time; large
+  // jumps (manual sync, nudges) are skipped so they stay silent.
+  const prevSecondsRef = useRef(seconds);
+  useEffect(() => {
+    const prev = prevSecondsRef.current;
+    prevSecondsRef.current = seconds;
+    if (advanceMode !== "time" || muted || !clock.running || seconds <= prev || seconds - prev > 2) return;
+    const crossed = t => prev < t && seconds >= t;
+
+    if (alertMode !== "speech" && audioRef.current && enrichedSteps.some(s => crossed(s.end))) {
+      audioRef.current.play().catch(() => {});
+    }
+
+    if (alertMode !== "chime") {
+      const lead = speechSettings.lead;
+      for (const c of callouts) {
+        if (lead > 0 && c.start - lead > 0 && crossed(c.start - lead)) {
+          speak(`${c.text} in ${lead}`, speechSettings);
+        }
+        if (crossed(c.start)) speak(`${c.text} now`, speechSettings);
       }
     }
+  }, [seconds, enrichedSteps, callouts, muted, clock.running, alertMode, speechSettings, speak, advanceMode]);
 
-    return [...lastDone, ...remaining];
-  }, [enrichedSteps, seconds, muted]);
+  // Supply mode: announce steps as soon as their supply is reached
+  const prevSupplyRef = useRef(currentSupply);
+  useEffect(() => {
+    const prev = prevSupplyRef.current;
+    prevSupplyRef.current = currentSupply;
+    if (advanceMode !== "supply" || muted || currentSupply <= prev) return;
+    const reached = supplySteps.filter(s => s.start > prev && s.start <= currentSupply);
+    if (reached.length === 0) return;
+
+    if (alertMode !== "speech" && audioRef.current) {
+      audioRef.current.play().catch(() => {});
+    }
+    if (alertMode !== "chime") {
+      speak(`${joinActions(reached.map(s => s.action))} now`, speechSettings);
+    }
+  }, [currentSupply, supplySteps, advanceMode, muted, alertMode, speechSettings, speak]);
+
+  // Macro reminders follow the clock in either advance mode and keep going
+  // after the last step, sharing mute and audio with step alerts
+  const prevReminderSecondsRef = useRef(seconds);
+  useEffect(() => {
+    const prev = prevReminderSecondsRef.current;
+    prevReminderSecondsRef.current = seconds;
+    if (muted || !clock.running || seconds <= prev || seconds - prev > 2) return;
+    const due = dueBetween(reminders, prev, seconds);
+    if (due.length === 0) return;
+
+    if (audioRef.current && due.some(r => (r.sound ?? alertMode) !== "speech")) {
+      audioRef.current.play().catch(() => {});
+    }
+    const spoken = due.filter(r => (r.sound ?? alertMode) !== "chime");
+    if (spoken.length) speak(joinActions(spoken.map(r => r.text)), speechSettings);
+  }, [seconds, reminders, muted, clock.running, alertMode, speechSettings, speak]);
+
+
+  // Switching to supply mode mid-game picks up the supply of the current time step
+  function switchMode(mode) {
+    if (mode === advanceMode) return;
+    if (mode === "supply") {
+      const current = enrichedSteps.filter(s => seconds >= s.start).pop();
+      if (current) setCurrentSupply(Number(current.supply) || STARTING_SUPPLY);
+    }
+    setAdvanceMode(mode);
+  }
+
+  function jumpToSupply() {
+    const value = parseInt(supplyInput, 10);
+    if (!Number.isInteger(value) || value < 0) return;
+    setCurrentSupply(value);
+    setSupplyInput("");
+  }
+
+  function storeSession(marks, startedAt) {
+    saveSession(activeBuild, marks, startedAt)
+      .then(() => setSuccessMessage(`Practice session saved (${marks.length} step${marks.length === 1 ? "" : "s"})`))
+      .catch(err => setErrorMessage(`Could not save practice session: ${err.message}`));
+  }
+
+  // Marks the next unfinished step as done at the current clock time
+  function markStepDone() {
+    if (!clock.running) return;
+    const index = practice.marks.length;
+    const step = enrichedSteps[index];
+    if (!step) return;
+
+    const actual = Math.round(seconds * 10) / 10;
+    const marks = [...practice.marks, {
+      index,
+      action: step.action,
+      planned: step.start,
+      actual,
+      deviation: Math.round((actual - step.start) * 10) / 10,
+    }];
+    const startedAt = practice.startedAt ?? new Date().toISOString();
+    // The run goes on down whichever branch gets picked
+    const complete = !decisionPending && marks.length === enrichedSteps.length;
+    if (complete) storeSession(marks, startedAt);
+    setPractice({ marks, startedAt, saved: complete });
+  }
+
+
+  // Jump to the next (+1) or previous (-1) step boundary in the current mode
+  function stepTo(direction) {
+    const starts = [...new Set(waterfallSteps.map(s => s.start))].sort((a, b) => a - b);
+    const current = starts.filter(t => t <= progress).pop() ?? 0;
+    const target = direction > 0
+      ? starts.find(t => t > progress)
+      : starts.filter(t => t < current).pop() ?? 0;
+    if (target === undefined) return;
+    if (advanceMode === "supply") setCurrentSupply(target);
+    else clock.setTime(target);
+  }
+
+  function updateKeymap(next) {
+    setKeymap(next);
+    saveKeymap(next);
+  }
+
+  useShortcuts(keymap, {
+    toggle: () => (clock.running ? clock.pause() : clock.start()),
+    reset: resetProgress,
+    mute: () => setMuted(m => !m),
+    nudgeBack: () => clock.nudge(-1),
+    nudgeForward: () => clock.nudge(1),
+    nextStep: () => stepTo(1),
+    prevStep: () => stepTo(-1),
+    markDone: markStepDone,
+    // Only in supply mode; otherwise the keys (arrows by default) keep scrolling the page
+    supplyUp: () => advanceMode === "supply" && setCurrentSupply(n => n + 1),
+    supplyDown: () => advanceMode === "supply" && setCurrentSupply(n => Math.max(0, n - 1)),
+    help: () => setHelpOpen(true),
+  }, !helpOpen);
+
+  function resetProgress() {
+    // A partial run is still worth keeping
+    if (practice.marks.length > 0 && !practice.saved) {
+      storeSession(practice.marks, practice.startedAt);
+    }
+    setPractice({ marks: [], startedAt: null, saved: false });
+    setBranchChoices({});
+    clock.reset();
+    setCurrentSupply(STARTING_SUPPLY);
+  }
+
+  // Continue down the chosen branch; the clock keeps running
+  function chooseBranch(path, index) {
+    setBranchChoices(c => ({ ...c, [path]: index }));
+  }
+
+  // Stop talking as soon as alerts are muted
+  useEffect(() => {
+    if (muted) cancelSpeech();
+  }, [muted, cancelSpeech]);
+
+  function updateSpeech(field, value) {
+    setSpeechSettings(s => ({ ...s, [field]: value }));
+  }
+
+  function syncClock() {
+    if (!isValidTime(syncInput)) return;
+    clock.setTime(parseTimeSafe(syncInput.trim()));
+    setSyncInput("");
+  }
+
+  // Throws with the full problem list so the banner can show every bad step
+  function assertValidBuild(json) {
+    const errors = validateBuild(json);
+    if (errors.length) throw new BuildValidationError(errors);
+  }
+
+  function clearMessages() {
+    setErrorMessage("");
+    setErrorDetails([]);
+    setSuccessMessage("");
+  }
+
+  function showError(err, fallback) {
+    setErrorMessage(err.message || fallback);
+    setErrorDetails(err instanceof BuildValidationError ? err.errors : []);
+  }
 
   async function loadLocalBuild(buildId) {
     try {
       setLoadingLink(true);
-      setErrorMessage("");
-      setSuccessMessage("");
-      const res = await fetch(`${import.meta.env.BASE_URL}build-orders/${buildId}.json`);
-      if (!res.ok) throw new Error("Build not found");
-      const json = await res.json();
-      if (!validateBuild(json)) throw new Error("Invalid build format");
-      setBuild(json);
-      setSeconds(0);
+      clearMessages();
+      const json = await fetchLocalBuild(buildId);
+      assertValidBuild(json);
+      setBuild(analyzeBuild(json).build);
       setSuccessMessage("Build Loaded");
-      setRunning(false);
+      resetProgress();
       setSelectedBuild(buildId);
+      setRemoteUrl("");
+      setMyBuildId(null);
     } catch (err) {
-      setErrorMessage(err.message || "Build not available locally.");
+      showError(err, "Build not available locally.");
     } finally {
       setLoadingLink(false);
     }
@@ -169,35 +527,113 @@ export default function BuildAdvisor() {
 // NEW: Load build from local file (shared by file input + drag/drop)
   async function loadFromFile(file) {
     try {
-      setErrorMessage("");
-      setSuccessMessage("");
+      clearMessages();
 
       if (!file) throw new Error("No file provided");
 
       // Some browsers do not set file.type reliably, so only check extension
+      if (file.name.toLowerCase().endsWith(".sc2replay")) {
+        setReplay(await readReplay(new Uint8Array(await file.arrayBuffer())));
+        return;
+      }
       if (!file.name.toLowerCase().endsWith(".json")) {
-        throw new Error("Please drop a valid .json file");
+        throw new Error("Please drop a valid .json or .SC2Replay file");
       }
 
       const text = await file.text();
       const json = JSON.parse(text);
 
-      if (!validateBuild(json)) throw new Error("Invalid build JSON schema");
+      assertValidBuild(json);
 
-      setBuild(json);
+      setBuild(analyzeBuild(json).build);
       setSuccessMessage("Build Loaded");
-      setSeconds(0);
-      setRunning(false);
+      resetProgress();
+      setSelectedBuild("");
+      setRemoteUrl("");
+      setMyBuildId(null);
     } catch (err) {
-      setErrorMessage(err.message || "Invalid JSON file");
+      showError(err, "Invalid JSON file");
     }
   }
 
+  function importReplay(playerId, minutes) {
+    try {
+      clearMessages();
+      const json = replayToBuild(replay, playerId, { minutes });
+      if (json.steps.length === 0) throw new Error("No units, structures or upgrades found for that player");
+      assertValidBuild(json);
+
+      setBuild(json);
+      setSuccessMessage("Replay Imported");
+      resetProgress();
+      setSelectedBuild("");
+      setRemoteUrl("");
+      setMyBuildId(null);
+    } catch (err) {
+      showError(err, "Could not import the replay.");
+    } finally {
+      setReplay(null);
+    }
+  }
+
+  // Build packed into the URL fragment by the Share dialog
+  async function loadFromShareLink(payload) {
+    try {
+      clearMessages();
+      const json = await decodeBuild(payload);
+      assertValidBuild(json);
+
+      setBuild(analyzeBuild(json).build);
+      setSuccessMessage("Shared Build Loaded");
+      resetProgress();
+      setSelectedBuild("");
+      setRemoteUrl("");
+      setMyBuildId(null);
+      // Drop the fragment so later loads aren't overridden on refresh
+      window.history.replaceState(window.history.state, "", window.location.pathname + window.location.search);
+    } catch (err) {
+      showError(err, "Invalid share link.");
+    }
+  }
+
+  // Replace an unrecognized action item with one of the catalog's suggestions
+  function applySuggestion(stepIndex, from, to) {
+    setBuild(b => ({
+      ...b,
+      steps: b.steps.map((step, i) => (i === stepIndex ? { ...step, action: replaceActionItem(step.action, from, to) } : step)),
+    }));
+  }
+
+  async function saveToMyBuilds() {
+    try {
+      clearMessages();
+      if (myBuildId !== null) await replaceMyBuild(myBuildId, build);
+      else setMyBuildId(await saveMyBuild(build));
+      setSuccessMessage("Saved to My Builds");
+    } catch (err) {
+      showError(err, "Unable to save build.");
+    }
+  }
+
+  async function makeAvailableOffline() {
+    try {
+      await saveOfflineBuild(remoteUrl, build);
+      setOfflineBuilds(await listOfflineBuilds());
+      setSuccessMessage("Build saved for offline use");
+    } catch (err) {
+      showError(err, "Unable to save build for offline use.");
+    }
+  }
+
+  async function forgetOfflineBuild(url) {
+    await removeOfflineBuild(url);
+    setOfflineBuilds(await listOfflineBuilds());
+  }
+
   async function loadFromLink(url) {
     try {
       setLoadingLink(true);
-      setErrorMessage("");
-      setSuccessMessage("");
+      clearMessages();
       // NEW: Normalize GitHub blob URLs to raw.githubusercontent.com
       let fetchUrl = url;
       if (url.includes("github.com") && url.includes("/blob/")) {
@@ -206,20 +642,30 @@ export default function BuildAdvisor() {
           .replace("/blob/", "/");
       }
 
-      const res = await fetch(fetchUrl);
-      if (!res.ok) throw new Error("Fetch failed");
-
-      const json = await res.json();
-      if (!validateBuild(json)) throw new Error("Invalid build format");
+      let json;
+      let fromCache = false;
+      try {
+        const res = await fetch(fetchUrl);
+        if (!res.ok) throw new Error("Fetch failed");
+        json = await res.json();
+      } catch (err) {
+        // Offline or host unreachable: fall back to a copy saved for offline use
+        json = await getOfflineBuild(fetchUrl);
+        if (!json) throw err;
+        fromCache = true;
+      }
+      assertValidBuild(json);
 
-      setBuild(json);
-      setSeconds(0);
-      setSuccessMessage("Build Loaded");
-      setRunning(false);
+      setBuild(analyzeBuild(json).build);
+      setSuccessMessage(fromCache ? "Build Loaded (offline copy)" : "Build Loaded");
+      resetProgress();
       setLinkInput("");
+      setSelectedBuild("");
+      setRemoteUrl(fetchUrl);
+      setMyBuildId(null);
     }  catch (err) {
       console.error(err);
-      setErrorMessage(err.message || "Unable to load build JSON from link.");
+      showError(err, "Unable to load build JSON from link.");
     } finally {
       setLoadingLink(false);
     }
@@ -233,17 +679,73 @@ export default function BuildAdvisor() {
         <p className="opacity-70">{build.name} • {build.race}</p>
       </header>
 
-      <Link to="/tutorial" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
-        Build JSON Tutorial
-      </Link>
+      <div className="flex flex-wrap gap-2 mb-4">
+        <Link to="/tutorial" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          Build JSON Tutorial
+        </Link>
+        <Link to="/library" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          Build Library
+        </Link>
+        <Link to="/my-builds" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          My Builds
+        </Link>
+        <Link to="/compare" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          Compare Builds
+        </Link>
+        <Link to="/history" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          Practice History
+        </Link>
+        <Link to="/import" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          Paste Build
+        </Link>
+        <Link to="/editor" state={{ build, myBuildId }} className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          Edit Build
+        </Link>
+        <button onClick={saveToMyBuilds} className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          💾 {myBuildId !== null ? "Update in My Builds" : "Save to My Builds"}
+        </button>
+        <button onClick={() => setShareOpen(true)} className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          🔗 Share
+        </button>
+        <ExportMenu build={build} />
+        <a
+          href={`${import.meta.env.BASE_URL}overlay${selectedBuild ? `?build=${encodeURIComponent(selectedBuild)}` : ""}`}
+          target="_blank"
+          rel="noreferrer"
+          title={relay
+            ? "Compact transparent view for streaming. Works as an OBS browser source: follows this tab's Start/Pause/Reset through the local server"
+            : "Compact transparent view for streaming. Follows this tab's Start/Pause/Reset only when opened in this browser (window capture); an OBS browser source needs the app running locally (npm run dev or npm run preview)"}
+          className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700"
+        >
+          📺 Overlay
+        </a>
+        <button
+          onClick={() => window.open(`${import.meta.env.BASE_URL}popout`, "build-advisor-popout", "popup,width=380,height=260")}
+          title="Small window with just the current and next step; Start/Pause there controls every window"
+          className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700"
+        >
+          ⧉ Pop out
+        </button>
+      </div>
 
       <div className="flex flex-wrap gap-2 mb-4 items-center">
-        <button onClick={() => setRunning(true)} className="px-4 py-2 rounded-xl bg-green-600">Start</button>
-        <button onClick={() => setRunning(false)} className="px-4 py-2 rounded-xl bg-yellow-600">Pause</button>
-        <button onClick={() => { setRunning(false); setSeconds(0); }} className="px-4 py-2 rounded-xl bg-red-600">Reset</button>
+        <button onClick={clock.start} className="px-4 py-2 rounded-xl bg-green-600">Start</button>
+        <button onClick={clock.pause} className="px-4 py-2 rounded-xl bg-yellow-600">Pause</button>
+        <button onClick={resetProgress} className="px-4 py-2 rounded-xl bg-red-600">Reset</button>
+        <button
+          disabled={!clock.running || practice.marks.length >= enrichedSteps.length}
+          onClick={markStepDone}
+          title={`Mark the next step as done (${keymap.markDone.join(" / ")})`}
+          className="px-4 py-2 rounded-xl bg-purple-600 disabled:opacity-50"
+        >
+          ✓ Done{enrichedSteps[practice.marks.length] ? `: ${enrichedSteps[practice.marks.length].action}` : ""}
+        </button>
         <button onClick={() => setMuted(m => !m)} className={`ml-4 p-2 rounded-full transition ${muted ? 'bg-red-600' : 'bg-green-600'}`}>
           {muted ? '🔇' : '🔊'}
         </button>
+        <button onClick={() => setHelpOpen(true)} title="Keyboard shortcuts (?)" className="p-2 rounded-full bg-neutral-800">
+          ⌨️
+        </button>
       </div>
 
       <div className="mb-6">
@@ -279,6 +781,26 @@ export default function BuildAdvisor() {
             {loadingLink ? "Loading…" : "Load"}
           </button>
         </div>
+
+        {remoteUrl && !offlineBuilds.some(b => b.url === remoteUrl) && (
+          <button onClick={makeAvailableOffline} className="mt-2 px-3 py-1 rounded-lg bg-neutral-800 text-sm">
+            ⬇ Make available offline
+          </button>
+        )}
+
+        {offlineBuilds.length > 0 && (
+          <div className="mt-3">
+            <span className="block text-xs opacity-60 mb-1">Available offline</span>
+            <div className="flex flex-wrap gap-2">
+              {offlineBuilds.map(b => (
+                <span key={b.url} className="flex items-center rounded-lg bg-neutral-800 text-sm">
+                  <button onClick={() => loadFromLink(b.url)} title={b.url} className="px-3 py-1">{b.name}</button>
+                  <button onClick={() => forgetOfflineBuild(b.url)} title="Remove offline copy" className="px-2 py-1 opacity-60">✕</button>
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
       
@@ -309,13 +831,13 @@ export default function BuildAdvisor() {
               : "border-neutral-700 bg-neutral-900 opacity-80"
           }`}
         >
-          Drag & drop a build JSON here
+          Drag & drop a build JSON or .SC2Replay here
         </div>
 
         <input
           ref={fileInputRef}
           type="file"
-          accept="application/json"
+          accept="application/json,.json,.SC2Replay"
           onChange={e => e.target.files && loadFromFile(e.target.files[0])}
           className="block w-full text-sm text-neutral-300 file:mr-4 file:rounded-xl file:border-0 file:bg-neutral-800 file:px-4 file:py-2 file:text-neutral-200 hover:file:bg-neutral-700"
         />
@@ -331,10 +853,97 @@ export default function BuildAdvisor() {
         {errorMessage && (
           <div className="mb-4 rounded-xl border border-red-700 bg-red-900/40 px-4 py-2 text-sm text-red-200">
             {errorMessage}
+            {errorDetails.length > 0 && (
+              <ul className="mt-2 max-h-48 overflow-y-auto list-disc pl-5 font-mono text-xs">
+                {errorDetails.map((err, i) => (
+                  <li key={i}>{formatValidationError(err)}</li>
+                ))}
+              </ul>
+            )}
           </div>
         )}
       </div>
 
+      {(catalogReport.mixed || catalogReport.unknown.length > 0) && (
+        <details className="mb-6 rounded-xl border border-yellow-700 bg-yellow-900/30 px-4 py-2 text-sm text-yellow-100">
+          <summary className="cursor-pointer">
+            {catalogReport.mixed && `Mixed-race build (${catalogReport.races.join(", ")} actions). `}
+            {catalogReport.unknown.length > 0 && `${catalogReport.unknown.length} unrecognized action(s).`}
+          </summary>
+          <ul className="mt-2 grid gap-1">
+            {catalogReport.unknown.map((u, i) => (
+              <li key={i} className="flex flex-wrap items-center gap-2">
+                <span className="opacity-70">@ {build.steps[u.stepIndex].time}</span>
+                <span className="font-mono">{u.name}</span>
+                {u.suggestions.length > 0 && <span className="opacity-70">→</span>}
+                {u.suggestions.map(name => (
+                  <button
+                    key={name}
+                    onClick={() => applySuggestion(u.stepIndex, u.name, name)}
+                    className="px-2 py-0.5 rounded-lg bg-neutral-800 hover:bg-neutral-700"
+                  >
+                    {name}
+                  </button>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {economyIssues.length > 0 && (
+        <details className="mb-6 rounded-xl border border-red-700 bg-red-900/40 px-4 py-2 text-sm text-red-200">
+          <summary className="cursor-pointer">
+            {economyIssues.length} step(s) look unaffordable or supply-blocked at their time.
+          </summary>
+          <ul className="mt-2 grid gap-1">
+            {economyIssues.map(e => (
+              <li key={e.index}>
+                <span className="opacity-70">@ {activeSteps[e.index].time}</span>{" "}
+                <span className="font-semibold">{activeSteps[e.index].action}</span>: {e.message}
+              </li>
+            ))}
+          </ul>
+          <p className="mt-2 text-xs opacity-70">
+            Estimated from a simple income model; a few seconds either way is normal.
+          </p>
+        </details>
+      )}
+
+      {/* Advance mode: follow the clock or the player's supply count */}
+      <div className="mb-4 flex flex-wrap gap-2 items-center">
+        <span className="text-sm opacity-80">Advance by</span>
+        {["time", "supply"].map(mode => (
+          <button
+            key={mode}
+            onClick={() => switchMode(mode)}
+            className={`px-3 py-1 rounded-lg text-sm capitalize ${advanceMode === mode ? "bg-blue-600" : "bg-neutral-800"}`}
+          >
+            {mode}
+          </button>
+        ))}
+      </div>
+
+      {advanceMode === "supply" && (
+        <div className="mb-4 flex flex-wrap gap-2 items-center">
+          <span className="text-lg">Supply: <strong>{currentSupply}</strong></span>
+          <button onClick={() => setCurrentSupply(n => Math.max(0, n - 1))} className="px-4 py-2 rounded-xl bg-neutral-800">−1</button>
+          <button onClick={() => setCurrentSupply(n => n + 1)} className="px-6 py-2 rounded-xl bg-green-600 font-semibold">+1 Supply</button>
+          <input
+            inputMode="numeric"
+            placeholder="Supply"
+            value={supplyInput}
+            onChange={e => setSupplyInput(e.target.value)}
+            onKeyDown={e => e.key === "Enter" && jumpToSupply()}
+            className="w-20 px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700"
+          />
+          <button onClick={jumpToSupply} className="px-3 py-1 rounded-lg bg-blue-600">Jump</button>
+          <small className="opacity-60">
+            Keys: {keymap.supplyUp.join(" / ")} raise, {keymap.supplyDown.join(" / ")} lower, tap a step to jump to it
+          </small>
+        </div>
+      )}
+
       <p className="mb-4 text-lg flex items-center gap-2">
         Game Time: <strong>{formatTime(seconds)}</strong>
 
@@ -350,31 +959,203 @@ export default function BuildAdvisor() {
         <small>Screen Lock</small>
       </p>
 
+      {/* Step callout settings */}
+      <details className="mb-6 rounded-xl border border-neutral-800 bg-neutral-900/60 px-4 py-2 text-sm">
+        <summary className="cursor-pointer opacity-80">Callouts: {alertMode}</summary>
+        <div className="mt-3 grid gap-3 sm:grid-cols-2">
+          <label className="flex items-center justify-between gap-2">
+            Alerts for this build
+            <select
+              value={alertMode}
+              onChange={e => setAlertOverrides(o => ({ ...o, [build.name]: e.target.value }))}
+              className="px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700"
+            >
+              {ALERT_MODES.map(m => <option key={m} value={m}>{m}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            Lead time (s)
+            <input
+              type="number"
+              min={0}
+              max={30}
+              value={speechSettings.lead}
+              onChange={e => updateSpeech("lead", Math.max(0, Number(e.target.value) || 0))}
+              className="w-20 px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700"
+            />
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            Voice
+            <select
+              value={speechSettings.voice}
+              onChange={e => updateSpeech("voice", e.target.value)}
+              className="max-w-[60%] px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700"
+            >
+              <option value="">Default</option>
+              {speech.voices.map(v => (
+                <option key={v.voiceURI} value={v.voiceURI}>{v.name} ({v.lang})</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            Rate {speechSettings.rate.toFixed(1)}×
+            <input
+              type="range"
+              min={0.5}
+              max={2}
+              step={0.1}
+              value={speechSettings.rate}
+              onChange={e => updateSpeech("rate", Number(e.target.value))}
+            />
+          </label>
+          <label className="flex items-center justify-between gap-2">
+            Volume {Math.round(speechSettings.volume * 100)}%
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={speechSettings.volume}
+              onChange={e => updateSpeech("volume", Number(e.target.value))}
+            />
+          </label>
+          <button
+            disabled={!speech.supported}
+            onClick={() => speech.speak(`${build.steps[0]?.action ?? "Supply Depot"} in ${speechSettings.lead}`, speechSettings)}
+            className="px-3 py-1 rounded-lg bg-neutral-800 disabled:opacity-50"
+          >
+            {speech.supported ? "Test voice" : "Speech not supported"}
+          </button>
+        </div>
+      </details>
+
+      <ReminderSettings reminders={profileReminders} onChange={setProfileReminders} />
+
+      {/* Clock calibration: nudge, sync to the in-game clock, game speed */}
+      <div className="mb-6 flex flex-wrap gap-2 items-center text-sm">
+        {[-5, -1, 1, 5].map(d => (
+          <button key={d} onClick={() => clock.nudge(d)} className="px-3 py-1 rounded-lg bg-neutral-800">
+            {d > 0 ? `+${d}s` : `${d}s`}
+          </button>
+        ))}
+        <input
+          placeholder="m:ss"
+          value={syncInput}
+          onChange={e => setSyncInput(e.target.value)}
+          onKeyDown={e => e.key === "Enter" && syncClock()}
+          className={`w-20 px-2 py-1 rounded-lg bg-neutral-900 border ${
+            syncInput && !isValidTime(syncInput) ? "border-red-500" : "border-neutral-700"
+          }`}
+        />
+        <button
+          disabled={!isValidTime(syncInput)}
+          onClick={syncClock}
+          className="px-3 py-1 rounded-lg bg-blue-600 disabled:opacity-50"
+        >
+          Set Time
+        </button>
+        <select
+          value={clock.speed}
+          onChange={e => clock.setSpeed(Number(e.target.value))}
+          className="px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700"
+        >
+          {GAME_SPEEDS.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+        </select>
+      </div>
+
       
 
-      <div className="grid gap-3">
-        {visibleSteps.map((step, i) => {
-          const active = seconds >= step.start && seconds < step.end;
-          const done = seconds >= step.end;
-
-          return (
-            <div
-              key={i}
-              className={`p-4 rounded-2xl shadow transition border ${
-                active
-                  ? "bg-blue-600 border-blue-400"
-                  : done
-                  ? "bg-neutral-800 opacity-60 border-neutral-700"
-                  : "bg-neutral-900 border-neutral-700"
-              }`}
-            >
-              <div className="text-sm opacity-80">@ {step.time} • {step.supply} supply</div>
-              <div className="text-lg font-semibold">{step.action}</div>
+      <div className="mb-3 flex gap-2">
+        {[["cards", "Steps"], ["timeline", "Timeline"]].map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => setView(id)}
+            className={`px-3 py-1 rounded-lg text-sm ${view === id ? "bg-blue-600" : "bg-neutral-800"}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className={reminders.length > 0 ? "grid gap-4 lg:grid-cols-[1fr_16rem]" : ""}>
+        <div className="min-w-0">
+          {view === "timeline" ? (
+            <GanttTimeline steps={enrichedSteps} race={build.race} seconds={seconds} />
+          ) : (
+            <div className="grid gap-3">
+              {visibleSteps.map((step, i) => {
+                const mark = practice.marks[step.index];
+                const bank = economy[step.index];
+                const active = progress >= step.start && progress < step.end;
+                const done = progress >= step.end;
+
+                return (
+                  <div
+                    key={i}
+                    onClick={advanceMode === "supply" ? () => setCurrentSupply(step.start) : undefined}
+                    className={`p-4 rounded-2xl shadow transition border ${
+                      active
+                        ? "bg-blue-600 border-blue-400"
+                        : done
+                        ? "bg-neutral-800 opacity-60 border-neutral-700"
+                        : "bg-neutral-900 border-neutral-700"
+                    }`}
+                  >
+                    <div className="text-sm opacity-80">
+                      @ {step.time} • {step.supply} supply
+                      {bank && (
+                        <span
+                          title={bank.message ?? `Estimated bank: ${bank.minerals} minerals, ${bank.gas} gas`}
+                          className={`ml-2 px-2 py-0.5 rounded-full text-xs tabular-nums ${BANK_COLORS[bank.status]}`}
+                        >
+                          {bank.status !== "ok" && "⚠ "}{bank.minerals}m {bank.gas}g
+                        </span>
+                      )}
+                      {mark && (
+                        <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${mark.deviation > LATE_THRESHOLD ? "bg-red-700" : "bg-green-700"}`}>
+                          ✓ {mark.deviation > 0 ? "+" : ""}{mark.deviation}s
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-lg font-semibold">{step.action}</div>
+                    <ActionTags action={step.action} race={build.race} />
+                    {step.branch && <div className="mt-1 text-xs opacity-70">⑂ {step.branch}</div>}
+                    {step.decision && (
+                      <div className="mt-3 flex flex-wrap gap-2">
+                        {step.decision.branches.map((name, b) => (
+                          <button
+                            key={b}
+                            disabled={step.decision.chosen !== null}
+                            onClick={e => {
+                              e.stopPropagation();
+                              chooseBranch(step.decision.path, b);
+                            }}
+                            className={`px-4 py-2 rounded-xl font-semibold ${
+                              step.decision.chosen === b
+                                ? "bg-green-600"
+                                : step.decision.chosen === null
+                                ? "bg-yellow-600 hover:bg-yellow-500"
+                                : "bg-neutral-800 opacity-50"
+                            }`}
+                          >
+                            {name}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
             </div>
-          );
-        })}
+          )}
+        </div>
+        {reminders.length > 0 && <ReminderLane reminders={reminders} seconds={seconds} />}
       </div>
 
+      {helpOpen && <ShortcutHelp keymap={keymap} onChange={updateKeymap} onClose={() => setHelpOpen(false)} />}
+      {shareOpen && <SharePanel build={build} onClose={() => setShareOpen(false)} />}
+      {replay && <ReplayPicker replay={replay} onPick={importReplay} onClose={() => setReplay(null)} />}
+
       {/* Audio element for notifications */}
       <audio ref={audioRef} src={`${import.meta.env.BASE_URL}audio/notification.mp3`} preload="auto" />
     </div>
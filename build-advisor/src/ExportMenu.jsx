@@ -0,0 +1,43 @@
+// build-advisor/src/ExportMenu.jsx
+// Toolbar dropdown for taking the loaded build out of the app.
+
+import React, { useRef } from "react";
+import { EXPORT_FORMATS } from "./buildExport";
+
+export function ExportMenu({ build }) {
+  const menuRef = useRef(null);
+  const close = () => menuRef.current?.removeAttribute("open");
+  const itemClass = "block w-full px-3 py-2 rounded-lg text-left hover:bg-neutral-800";
+
+  return (
+    <details ref={menuRef} className="relative">
+      <summary className="list-none [&::-webkit-details-marker]:hidden cursor-pointer px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+        ⬇ Export
+      </summary>
+      <div className="absolute z-40 mt-2 w-60 rounded-xl border border-neutral-700 bg-neutral-900 p-1 text-sm shadow-lg">
+        <a
+          href={`${import.meta.env.BASE_URL}cheat-sheet`}
+          target="_blank"
+          rel="noreferrer"
+          onClick={close}
+          title="One-page view for a second monitor or printing"
+          className={`${itemClass} text-neutral-100`}
+        >
+          🖨 Cheat sheet
+        </a>
+        {EXPORT_FORMATS.map(format => (
+          <button
+            key={format.id}
+            onClick={() => {
+              format.download(build);
+              close();
+            }}
+            className={itemClass}
+          >
+            {format.label}
+          </button>
+        ))}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,103 @@
+// build-advisor/src/GanttTimeline.jsx
+// Gantt-style waterfall: one bar per action from start to completion,
+// scrolling with the game clock. Hatched segments show production
+// structures sitting idle; ✓ marks tech finishing.
+
+import React, { useEffect, useMemo, useRef } from "react";
+import { formatTime } from "./buildUtils";
+import { computeTimeline } from "./timeline";
+import { KIND_COLORS } from "./kindColors";
+
+const PX_PER_SECOND = 6;
+const ROW_HEIGHT = 26;
+const HEADER_HEIGHT = 20;
+// Hands-off time after the user scrolls the timeline before it follows the clock again
+const FOLLOW_PAUSE_MS = 5000;
+// The view re-scrolls once per this many game seconds, not on every clock tick
+const FOLLOW_EVERY = 1;
+
+export function GanttTimeline({ steps, race, seconds }) {
+  const scrollRef = useRef(null);
+  const touchedAt = useRef(0); // last time the user scrolled by hand
+  const items = useMemo(() => computeTimeline(steps, race), [steps, race]);
+
+  const length = Math.max(120, ...items.map(i => Math.max(i.end, i.idleUntil ?? 0))) + 30;
+  const width = length * PX_PER_SECOND;
+  const x = t => t * PX_PER_SECOND;
+
+  const ticks = [];
+  for (let t = 0; t <= length; t += 30) ticks.push(t);
+
+  // Keep the playhead about a quarter of the way into view, except for a
+  // while after the timeline was scrolled by hand
+  const followTo = x(Math.floor(seconds / FOLLOW_EVERY) * FOLLOW_EVERY);
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el || Date.now() - touchedAt.current < FOLLOW_PAUSE_MS) return;
+    el.scrollLeft = Math.max(0, followTo - el.clientWidth / 4);
+  }, [followTo]);
+
+  const touched = () => {
+    touchedAt.current = Date.now();
+  };
+
+  return (
+    <div
+      ref={scrollRef}
+      onWheel={touched}
+      onPointerDown={touched}
+      onTouchStart={touched}
+      onKeyDown={touched}
+      className="overflow-x-auto overflow-y-auto max-h-[70vh] rounded-2xl border border-neutral-800 bg-neutral-900/60"
+    >
+      <div className="relative" style={{ width, height: HEADER_HEIGHT + items.length * ROW_HEIGHT + 8 }}>
+        {ticks.map(t => (
+          <div key={t} className="absolute top-0 bottom-0 border-l border-neutral-800" style={{ left: x(t) }}>
+            <span className="ml-1 text-[10px] opacity-50">{formatTime(t)}</span>
+          </div>
+        ))}
+
+        {items.map((item, row) => {
+          const top = HEADER_HEIGHT + row * ROW_HEIGHT;
+          const building = seconds >= item.start && seconds < item.end;
+          const finished = seconds >= item.end;
+          const showsCompletion = item.kind === "structure" || item.kind === "upgrade" || item.kind === "addon";
+          return (
+            <React.Fragment key={item.key}>
+              <div
+                title={`${item.label}: ${formatTime(item.start)} → ${formatTime(item.end)}`}
+                className={`absolute flex items-center rounded-md border px-1 text-xs whitespace-nowrap ${KIND_COLORS[item.kind]} ${
+                  finished ? "opacity-50" : ""
+                } ${building ? "ring-2 ring-white/70" : ""}`}
+                style={{ left: x(item.start), top, height: ROW_HEIGHT - 6, minWidth: Math.max(4, x(item.end - item.start)) }}
+              >
+                {item.label}
+                {showsCompletion && item.end > item.start && (
+                  <span className="ml-1 opacity-70">✓ {formatTime(item.end)}</span>
+                )}
+              </div>
+              {item.idleUntil && (
+                <div
+                  title={`${item.label} idle ${formatTime(item.end)} → ${formatTime(item.idleUntil)}`}
+                  className="absolute rounded-md border border-dashed border-yellow-500/70 text-[10px] text-yellow-300 px-1"
+                  style={{
+                    left: x(item.end),
+                    top: top + 3,
+                    width: x(item.idleUntil - item.end),
+                    height: ROW_HEIGHT - 12,
+                    backgroundImage: "repeating-linear-gradient(45deg, rgba(234,179,8,0.25) 0 4px, transparent 4px 8px)",
+                  }}
+                >
+                  idle
+                </div>
+              )}
+            </React.Fragment>
+          );
+        })}
+
+        {/* Current game time */}
+        <div className="absolute top-0 bottom-0 w-0.5 bg-red-500" style={{ left: x(seconds) }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+// build-advisor/src/ReminderLane.jsx
+// The macro lane shown next to the waterfall (one countdown per recurring
+// reminder) and the editor for the player's own profile reminders.
+
+import React, { useState } from "react";
+import { ALERT_MODES, RACES, formatTime, parseTimeSafe, validateReminders } from "./buildUtils";
+import { REMINDER_PRESETS, nextDue } from "./reminders";
+
+export function ReminderLane({ reminders, seconds }) {
+  return (
+    <aside className="grid gap-2 content-start">
+      <h2 className="text-sm font-semibold uppercase opacity-60">Macro</h2>
+      {reminders.map((r, i) => {
+        const due = nextDue(r, seconds);
+        const waiting = seconds < parseTimeSafe(r.start ?? "0:00");
+        const left = due === null ? 0 : due - seconds;
+        return (
+          <div
+            key={i}
+            className={`rounded-2xl border px-3 py-2 ${
+              due === null ? "border-neutral-800 bg-neutral-900 opacity-40" : "border-neutral-700 bg-neutral-900"
+            }`}
+          >
+            <div className="flex items-baseline justify-between gap-2">
+              <span className="font-semibold">{r.text}</span>
+              <span className="text-xs opacity-60">every {r.every}s</span>
+            </div>
+            {due === null ? (
+              <div className="text-xs opacity-70">stopped at {r.stop}</div>
+            ) : waiting ? (
+              <div className="text-xs opacity-70">starts at {formatTime(due)}</div>
+            ) : (
+              <>
+                <div className="text-xs opacity-70 tabular-nums">next in {Math.ceil(left)}s</div>
+                <div className="mt-1 h-1.5 rounded-full bg-neutral-800">
+                  <div
+                    className={`h-full rounded-full ${left <= 3 ? "bg-yellow-400" : "bg-blue-500"}`}
+                    style={{ width: `${Math.min(100, (1 - left / r.every) * 100)}%` }}
+                  />
+                </div>
+              </>
+            )}
+            {r.source === "profile" && <div className="mt-1 text-[10px] uppercase opacity-40">my reminder</div>}
+          </div>
+        );
+      })}
+    </aside>
+  );
+}
+
+const EMPTY_FORM = { text: "", every: "30", start: "0:00", stop: "", sound: "", race: "" };
+
+// Profile reminders apply to every build (optionally only one race's)
+export function ReminderSettings({ reminders, onChange }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const reminder = {
+    text: form.text.trim(),
+    every: Number(form.every),
+    start: form.start,
+    ...(form.stop && { stop: form.stop }),
+    ...(form.sound && { sound: form.sound }),
+    ...(form.race && { race: form.race }),
+  };
+  // The checks loading applies, so nothing added here is dropped on the next visit
+  const problem = validateReminders([reminder])[0];
+
+  function add(r) {
+    onChange([...reminders, r]);
+  }
+
+  function addFromForm() {
+    if (problem) return;
+    add(reminder);
+    setForm(EMPTY_FORM);
+  }
+
+  const field = (name, className, props) => (
+    <input
+      value={form[name]}
+      onChange={e => setForm(f => ({ ...f, [name]: e.target.value }))}
+      className={`${className} px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700`}
+      {...props}
+    />
+  );
+
+  return (
+    <details className="mb-6 rounded-xl border border-neutral-800 bg-neutral-900/60 px-4 py-2 text-sm">
+      <summary className="cursor-pointer opacity-80">My macro reminders: {reminders.length}</summary>
+
+      <ul className="mt-3 grid gap-1">
+        {reminders.map((r, i) => (
+          <li key={i} className="flex items-center justify-between gap-2">
+            <span>
+              {r.text} every {r.every}s from {r.start ?? "0:00"}{r.stop && ` to ${r.stop}`}
+              <span className="opacity-60"> • {r.race ?? "all races"}{r.sound && ` • ${r.sound}`}</span>
+            </span>
+            <button
+              onClick={() => onChange(reminders.filter((_, j) => j !== i))}
+              title="Remove reminder"
+              className="px-2 py-1 opacity-60"
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="mt-3 flex flex-wrap gap-2">
+        {REMINDER_PRESETS.map(p => (
+          <button key={p.text} onClick={() => add(p)} className="px-2 py-1 rounded-lg bg-neutral-800 hover:bg-neutral-700">
+            + {p.text}{p.race && <span className="opacity-60"> ({p.race})</span>}
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-2 items-center">
+        {field("text", "flex-1 min-w-[8rem]", { placeholder: "Reminder" })}
+        every {field("every", "w-14", { inputMode: "numeric" })} s
+        from {field("start", "w-16", { placeholder: "m:ss" })}
+        to {field("stop", "w-16", { placeholder: "m:ss (optional)" })}
+        <select
+          value={form.sound}
+          onChange={e => setForm(f => ({ ...f, sound: e.target.value }))}
+          className="px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700"
+        >
+          <option value="">Build's alert mode</option>
+          {ALERT_MODES.map(m => <option key={m} value={m}>{m}</option>)}
+        </select>
+        <select
+          value={form.race}
+          onChange={e => setForm(f => ({ ...f, race: e.target.value }))}
+          className="px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700"
+        >
+          <option value="">All races</option>
+          {RACES.filter(r => r !== "Unknown").map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+        <button disabled={Boolean(problem)} onClick={addFromForm} className="px-3 py-1 rounded-lg bg-blue-600 disabled:opacity-50">
+          Add
+        </button>
+      </div>
+      {problem && form.text.trim() && <p className="mt-1 text-xs text-red-400">{problem.message}</p>}
+    </details>
+  );
+}
@@ -0,0 +1,63 @@
+// build-advisor/src/ReplayPicker.jsx
+// Dialog shown after dropping a replay: pick whose build to import and how
+// many minutes of it to keep.
+
+import React, { useEffect, useState } from "react";
+
+export function ReplayPicker({ replay, onPick, onClose }) {
+  const [minutes, setMinutes] = useState("6");
+  const valid = Number(minutes) > 0;
+
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === "Escape") onClose();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-md max-h-[90vh] overflow-y-auto rounded-2xl border border-neutral-700 bg-neutral-900 p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Import Replay</h2>
+          <button onClick={onClose} className="px-2 py-1 rounded-lg bg-neutral-800">✕</button>
+        </div>
+
+        {replay.map && <p className="mb-4 text-sm opacity-70">{replay.map}</p>}
+
+        <label className="mb-4 flex items-center gap-2 text-sm">
+          First
+          <input
+            value={minutes}
+            onChange={e => setMinutes(e.target.value)}
+            inputMode="numeric"
+            className="w-14 px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700"
+          />
+          minutes
+        </label>
+
+        <div className="grid gap-2">
+          {replay.players.map(p => (
+            <button
+              key={p.id}
+              disabled={!valid}
+              onClick={() => onPick(p.id, Number(minutes))}
+              className="flex items-center justify-between px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700 disabled:opacity-50 text-left"
+            >
+              <span className="font-semibold">{p.name}</span>
+              <span className="text-sm opacity-70">
+                {p.race ?? "Unknown race"}{p.result && ` • ${p.result}`}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        <p className="mt-4 text-xs opacity-60">The replay is read in your browser and never uploaded.</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+// build-advisor/src/SharePanel.jsx
+// Share dialog: a self-contained link to the current build plus a QR code
+// so it can be opened on a phone.
+
+import React, { useEffect, useState } from "react";
+import { QRCodeSVG } from "qrcode.react";
+import { QR_MAX_LENGTH, buildShareUrl } from "./shareLink";
+
+export function SharePanel({ build, onClose }) {
+  const [url, setUrl] = useState("");
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    buildShareUrl(build)
+      .then(u => !cancelled && setUrl(u))
+      .catch(err => !cancelled && setError(err.message || "Unable to create share link."));
+    return () => { cancelled = true; };
+  }, [build]);
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error("Copy failed", err);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-md rounded-2xl border border-neutral-700 bg-neutral-900 p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Share “{build.name}”</h2>
+          <button onClick={onClose} className="px-2 py-1 rounded-lg bg-neutral-800">✕</button>
+        </div>
+
+        {error && <p className="text-sm text-red-300">{error}</p>}
+
+        {url && (
+          <>
+            <p className="mb-2 text-sm opacity-70">
+              The whole build is packed into this link. Anyone with it can open the build, no upload needed.
+            </p>
+            <div className="mb-4 flex gap-2">
+              <input
+                readOnly
+                value={url}
+                onFocus={e => e.target.select()}
+                className="flex-1 px-3 py-2 rounded-xl bg-neutral-950 border border-neutral-700 text-xs"
+              />
+              <button onClick={copy} className="px-4 py-2 rounded-xl bg-blue-600">
+                {copied ? "✓ Copied" : "Copy"}
+              </button>
+            </div>
+
+            {url.length <= QR_MAX_LENGTH ? (
+              <div className="flex justify-center rounded-xl bg-white p-4">
+                <QRCodeSVG value={url} size={240} level="L" />
+              </div>
+            ) : (
+              <p className="text-sm opacity-70">
+                This build is too long for a QR code ({url.length} characters). Copy the link instead.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
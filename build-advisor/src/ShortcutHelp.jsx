@@ -0,0 +1,84 @@
+// build-advisor/src/ShortcutHelp.jsx
+// Help overlay listing keyboard shortcuts, with per-action rebinding.
+
+import React, { useEffect, useState } from "react";
+import { DEFAULT_KEYMAP, SHORTCUT_ACTIONS, keyName } from "./keymap";
+
+export function ShortcutHelp({ keymap, onChange, onClose }) {
+  const [capturing, setCapturing] = useState(null); // action waiting for a key
+
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (capturing) {
+        e.preventDefault();
+        if (e.key !== "Escape") {
+          const key = keyName(e);
+          // A key can only trigger one action
+          const next = Object.fromEntries(
+            Object.entries(keymap).map(([action, keys]) => [action, keys.filter(k => k !== key)])
+          );
+          next[capturing] = [...next[capturing], key];
+          onChange(next);
+        }
+        setCapturing(null);
+      } else if (e.key === "Escape" || e.key === "?") {
+        onClose();
+      }
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [capturing, keymap, onChange, onClose]);
+
+  function removeKey(action, key) {
+    onChange({ ...keymap, [action]: keymap[action].filter(k => k !== key) });
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-lg max-h-[90vh] overflow-y-auto rounded-2xl border border-neutral-700 bg-neutral-900 p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Keyboard Shortcuts</h2>
+          <button onClick={onClose} className="px-2 py-1 rounded-lg bg-neutral-800">✕</button>
+        </div>
+
+        <p className="mb-4 text-sm opacity-70">
+          Presentation clickers send arrow and Page Up/Down keys, so they skip steps by default.
+          Media play/pause and track keys work where the browser passes them on.
+        </p>
+
+        <table className="w-full text-sm">
+          <tbody>
+            {SHORTCUT_ACTIONS.map(({ id, label }) => (
+              <tr key={id} className="border-t border-neutral-800">
+                <td className="py-2 pr-2">{label}</td>
+                <td className="py-2">
+                  <div className="flex flex-wrap gap-1 justify-end">
+                    {keymap[id].map(key => (
+                      <span key={key} className="flex items-center rounded-md bg-neutral-800 font-mono text-xs">
+                        <kbd className="px-2 py-0.5">{key}</kbd>
+                        <button onClick={() => removeKey(id, key)} title="Remove" className="px-1 opacity-60">✕</button>
+                      </span>
+                    ))}
+                    <button
+                      onClick={() => setCapturing(id)}
+                      className={`px-2 py-0.5 rounded-md text-xs ${capturing === id ? "bg-blue-600" : "bg-neutral-700"}`}
+                    >
+                      {capturing === id ? "Press a key…" : "+ Key"}
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <button onClick={() => onChange(DEFAULT_KEYMAP)} className="mt-4 px-4 py-2 rounded-xl bg-neutral-800 text-sm">
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,246 @@
+// build-advisor/src/actionCatalog.js
+// Canonical catalog of SC2 units, structures, add-ons, upgrades and common
+// macro actions, with aliases. Normalizes free-text step actions, infers a
+// build's race and suggests fixes for actions it doesn't recognize.
+
+import { BUILD_TIMES } from "./data/buildTimes";
+import { COSTS } from "./data/costs";
+
+// Shorthand seen in build orders → canonical name
+const ALIASES = {
+  // Terran
+  "cc": "Command Center",
+  "orbital": "Orbital Command", "oc": "Orbital Command", "pf": "Planetary Fortress",
+  "depot": "Supply Depot", "rax": "Barracks", "ebay": "Engineering Bay",
+  "turret": "Missile Turret", "port": "Starport", "tank": "Siege Tank", "mine": "Widow Mine",
+  "bc": "Battlecruiser", "stim": "Stimpack", "combat shields": "Combat Shield",
+  "concussive": "Concussive Shells", "blue flame": "Infernal Pre-Igniter",
+  "building armor": "Neosteel Armor", "yamato": "Weapon Refit",
+  "+1 infantry weapons": "Terran Infantry Weapons Level 1",
+  "+1 infantry armor": "Terran Infantry Armor Level 1",
+  "techlab": "Tech Lab", "reactor": "Reactor",
+  // Protoss
+  "gate": "Gateway", "core": "Cybernetics Core", "cyber core": "Cybernetics Core",
+  "twilight": "Twilight Council", "robo": "Robotics Facility", "robo bay": "Robotics Bay",
+  "cannon": "Photon Cannon", "battery": "Shield Battery",
+  "warpgate": "Warp Gate", "warpgate research": "Warp Gate", "glaives": "Resonating Glaives",
+  "storm": "Psionic Storm", "prism": "Warp Prism", "dt": "Dark Templar", "ht": "High Templar",
+  "chrono": "Chrono Boost",
+  // Zerg
+  "hatch": "Hatchery", "pool": "Spawning Pool", "evo": "Evolution Chamber",
+  "ling": "Zergling", "lings": "Zergling", "bane": "Baneling", "ling speed": "Metabolic Boost",
+  "zergling speed": "Metabolic Boost", "roach speed": "Glial Reconstitution", "ovie": "Overlord",
+  "ol": "Overlord", "hydra den": "Hydralisk Den", "hydra": "Hydralisk", "muta": "Mutalisk",
+  "ultra": "Ultralisk", "inject": "Inject Larva", "creep tumor": "Creep Tumor",
+};
+
+// Older upgrade names
+for (const level of [1, 2, 3]) {
+  ALIASES[`terran vehicle and ship armor level ${level}`] = `Terran Vehicle and Ship Plating Level ${level}`;
+  ALIASES[`terran vehicle plating level ${level}`] = `Terran Vehicle and Ship Plating Level ${level}`;
+  ALIASES[`terran ship plating level ${level}`] = `Terran Vehicle and Ship Plating Level ${level}`;
+}
+
+// Plurals seen in build orders → the singular they are looked up as
+const PLURALS = {
+  // Terran
+  "scvs": "scv", "marines": "marine", "reapers": "reaper", "marauders": "marauder", "ghosts": "ghost",
+  "hellions": "hellion", "hellbats": "hellbat", "widow mines": "widow mine", "mines": "mine",
+  "cyclones": "cyclone", "siege tanks": "siege tank", "tanks": "tank", "thors": "thor",
+  "vikings": "viking", "medivacs": "medivac", "liberators": "liberator", "ravens": "raven",
+  "banshees": "banshee", "battlecruisers": "battlecruiser", "bcs": "bc", "mules": "mule",
+  "command centers": "command center", "ccs": "cc", "depots": "depot", "supply depots": "supply depot",
+  "refineries": "refinery", "bunkers": "bunker", "turrets": "turret", "missile turrets": "missile turret",
+  "factories": "factory", "starports": "starport", "ebays": "ebay", "engineering bays": "engineering bay",
+  "reactors": "reactor", "tech labs": "tech lab", "techlabs": "techlab",
+  // Protoss
+  "probes": "probe", "zealots": "zealot", "stalkers": "stalker", "sentries": "sentry", "adepts": "adept",
+  "high templars": "high templar", "hts": "ht", "dark templars": "dark templar", "dts": "dt",
+  "observers": "observer", "warp prisms": "warp prism", "immortals": "immortal",
+  "colossi": "colossus", "disruptors": "disruptor", "phoenixes": "phoenix", "oracles": "oracle",
+  "void rays": "void ray", "tempests": "tempest", "carriers": "carrier",
+  "nexuses": "nexus", "pylons": "pylon", "assimilators": "assimilator", "gateways": "gateway",
+  "gates": "gate", "forges": "forge", "photon cannons": "photon cannon", "cannons": "cannon",
+  "shield batteries": "shield battery", "batteries": "battery", "stargates": "stargate",
+  // Zerg
+  "drones": "drone", "overlords": "overlord", "queens": "queen", "zerglings": "zergling",
+  "banelings": "baneling", "banes": "bane", "roaches": "roach", "ravagers": "ravager",
+  "hydralisks": "hydralisk", "hydras": "hydra", "lurkers": "lurker", "mutalisks": "mutalisk",
+  "mutas": "muta", "corruptors": "corruptor", "infestors": "infestor", "swarm hosts": "swarm host",
+  "vipers": "viper", "ultralisks": "ultralisk", "ultras": "ultra", "brood lords": "brood lord",
+  "overseers": "overseer", "hatcheries": "hatchery", "hatches": "hatch", "extractors": "extractor",
+  "evolution chambers": "evolution chamber", "evos": "evo", "spine crawlers": "spine crawler",
+  "spore crawlers": "spore crawler", "creep tumors": "creep tumor", "injects": "inject",
+  // Race-dependent
+  "workers": "worker", "expansions": "expansion",
+};
+
+// Shorthand whose meaning depends on the race playing it
+const RACE_ALIASES = {
+  "gas": { Terran: "Refinery", Protoss: "Assimilator", Zerg: "Extractor" },
+  "expand": { Terran: "Command Center", Protoss: "Nexus", Zerg: "Hatchery" },
+  "expansion": { Terran: "Command Center", Protoss: "Nexus", Zerg: "Hatchery" },
+  "supply": { Terran: "Supply Depot", Protoss: "Pylon", Zerg: "Overlord" },
+  "worker": { Terran: "SCV", Protoss: "Probe", Zerg: "Drone" },
+};
+
+// Actions that are not built but do appear in build orders
+const ABILITIES = {
+  Terran: ["MULE", "Calldown: Supply Drop", "Scan"],
+  Protoss: ["Chrono Boost", "Warp In"],
+  Zerg: ["Inject Larva", "Creep Tumor"],
+  Any: ["Scout", "Worker Scout"],
+};
+
+const ADDON_HOSTS = ["Barracks", "Factory", "Starport"];
+const FREE = { minerals: 0, gas: 0, supply: 0 };
+
+// name (lower case) → { name, race, kind, time, producer, cost }
+const CATALOG = new Map();
+
+for (const [race, table] of Object.entries(BUILD_TIMES)) {
+  for (const [name, entry] of Object.entries(table)) {
+    CATALOG.set(name.toLowerCase(), { name, race, ...entry, cost: COSTS[race][name] });
+  }
+}
+for (const host of ADDON_HOSTS) {
+  for (const addon of ["Tech Lab", "Reactor"]) {
+    const name = `${host} ${addon}`;
+    CATALOG.set(name.toLowerCase(), {
+      ...BUILD_TIMES.Terran[addon], name, race: "Terran", producer: host, cost: COSTS.Terran[addon],
+    });
+  }
+}
+for (const [race, names] of Object.entries(ABILITIES)) {
+  for (const name of names) {
+    CATALOG.set(name.toLowerCase(), {
+      name, race: race === "Any" ? null : race, kind: "ability", time: 0, producer: null, cost: FREE,
+    });
+  }
+}
+
+export const CATALOG_NAMES = [...CATALOG.values()].map(e => e.name);
+
+// Splits "Barracks Reactor, Marine x2" into items; keeps notes like
+// "(Expand)" and counts like "x2" so they can be written back unchanged.
+export function splitActionItems(action) {
+  return action.split(",").map(part => {
+    let text = part.trim();
+    const count = /\s*x\s*(\d+)\s*$/i.exec(text);
+    if (count) text = text.slice(0, count.index);
+    const notes = text.match(/\s*\([^)]*\)/g) ?? [];
+    for (const n of notes) text = text.replace(n, "");
+    return { name: text.trim(), note: notes.join(""), count: count ? Number(count[1]) : 1 };
+  }).filter(item => item.name);
+}
+
+function lookup(key, race) {
+  if (CATALOG.has(key)) return CATALOG.get(key);
+  const alias = ALIASES[key] ?? RACE_ALIASES[key]?.[race];
+  return alias ? CATALOG.get(alias.toLowerCase()) : null;
+}
+
+// Catalog entry for one action item ("Rax", "Marines", "Gas"), or null.
+// `race` only matters for race-dependent shorthand like "Gas".
+export function resolveAction(name, race) {
+  const key = name.toLowerCase().replace(/\s+/g, " ").trim();
+  return lookup(key, race) ?? (PLURALS[key] ? lookup(PLURALS[key], race) : null);
+}
+
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+// Closest catalog names for an unrecognized action, preferring `race`
+export function suggestActions(name, race, limit = 3) {
+  const target = name.toLowerCase();
+  return [...CATALOG.values()]
+    .filter(e => !race || !e.race || e.race === race || !BUILD_TIMES[race])
+    .map(e => {
+      const candidate = e.name.toLowerCase();
+      const distance = candidate.includes(target) || target.includes(candidate)
+        ? Math.abs(candidate.length - target.length) / 2
+        : editDistance(target, candidate);
+      return { name: e.name, distance };
+    })
+    .filter(s => s.distance <= Math.max(3, target.length / 2))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(s => s.name);
+}
+
+// Rewrites each recognized item with its canonical name
+export function normalizeAction(action, race) {
+  return splitActionItems(action)
+    .map(item => {
+      const entry = resolveAction(item.name, race);
+      return `${entry?.name ?? item.name}${item.note}${item.count > 1 ? ` x${item.count}` : ""}`;
+    })
+    .join(", ");
+}
+
+// Every step, including those inside decision-point branches
+function allSteps(steps) {
+  return steps.flatMap(step => [step, ...(step.branches ?? []).flatMap(b => allSteps(b.steps))]);
+}
+
+function normalizeSteps(steps, race) {
+  return steps.map(step => ({
+    ...step,
+    action: normalizeAction(step.action, race),
+    ...(step.branches && {
+      branches: step.branches.map(b => ({ ...b, steps: normalizeSteps(b.steps, race) })),
+    }),
+  }));
+}
+
+// Canonical names, inferred race, and everything the catalog didn't know
+// (unknown actions are listed for top-level steps only).
+// Returns { build, inferredRace, races, mixed, unknown: [{ stepIndex, name, suggestions }] }
+export function analyzeBuild(build) {
+  const raceCounts = {};
+  for (const step of allSteps(build.steps)) {
+    for (const item of splitActionItems(step.action)) {
+      const entry = resolveAction(item.name);
+      if (entry?.race) raceCounts[entry.race] = (raceCounts[entry.race] ?? 0) + 1;
+    }
+  }
+
+  const races = Object.keys(raceCounts).sort((a, b) => raceCounts[b] - raceCounts[a]);
+  const inferredRace = races[0] ?? "Unknown";
+  const race = !build.race || build.race === "Unknown" ? inferredRace : build.race;
+
+  // Second pass knows the race, so "Gas" and "Supply" resolve too
+  const unknown = [];
+  build.steps.forEach((step, stepIndex) => {
+    for (const item of splitActionItems(step.action)) {
+      if (!resolveAction(item.name, race)) unknown.push({ stepIndex, name: item.name });
+    }
+  });
+
+  return {
+    build: { ...build, race, steps: normalizeSteps(build.steps, race) },
+    inferredRace,
+    races,
+    mixed: races.length > 1,
+    unknown: unknown.map(u => ({ ...u, suggestions: suggestActions(u.name, race) })),
+  };
+}
+
+// Swaps one item of a step's action ("Barracks Tech Reactor" → "Barracks Reactor"),
+// keeping the other items, notes and counts
+export function replaceActionItem(action, from, to) {
+  return splitActionItems(action)
+    .map(item => `${item.name === from ? to : item.name}${item.note}${item.count > 1 ? ` x${item.count}` : ""}`)
+    .join(", ");
+}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { analyzeBuild, normalizeAction, replaceActionItem, resolveAction, splitActionItems, suggestActions } from "./actionCatalog";
+
+describe("splitActionItems", () => {
+  it("separates items, notes and counts", () => {
+    expect(splitActionItems("Barracks Reactor, Marine (rally) x2")).toEqual([
+      { name: "Barracks Reactor", note: "", count: 1 },
+      { name: "Marine", note: " (rally)", count: 2 },
+    ]);
+  });
+});
+
+describe("resolveAction", () => {
+  it("understands aliases and plurals", () => {
+    expect(resolveAction("Rax").name).toBe("Barracks");
+    expect(resolveAction("Marines").name).toBe("Marine");
+    expect(resolveAction("roaches").name).toBe("Roach");
+    expect(resolveAction("Refineries").name).toBe("Refinery");
+    expect(resolveAction("Colossi").name).toBe("Colossus");
+    expect(resolveAction("Workers", "Protoss").name).toBe("Probe");
+  });
+
+  it("does not strip a trailing s from names that aren't listed plurals", () => {
+    expect(resolveAction("Bus")).toBeNull();
+    expect(resolveAction("Barracks").name).toBe("Barracks");
+  });
+
+  it("knows no catch-all actions", () => {
+    expect(resolveAction("Attack")).toBeNull();
+    expect(resolveAction("Action")).toBeNull();
+    expect(resolveAction("Worker Scout").race).toBeNull();
+  });
+
+  it("resolves race-dependent shorthand only with a race", () => {
+    expect(resolveAction("Gas", "Zerg").name).toBe("Extractor");
+    expect(resolveAction("Gas", "Protoss").name).toBe("Assimilator");
+  });
+
+  it("returns null for unknown actions", () => {
+    expect(resolveAction("Banana")).toBeNull();
+  });
+});
+
+describe("normalizeAction", () => {
+  it("rewrites known items and keeps the rest", () => {
+    expect(normalizeAction("rax x2, depot (wall), Banana", "Terran")).toBe("Barracks x2, Supply Depot (wall), Banana");
+  });
+
+  it("swaps a single item", () => {
+    expect(replaceActionItem("Barracks Tech Reactor, Marine x2", "Barracks Tech Reactor", "Barracks Reactor"))
+      .toBe("Barracks Reactor, Marine x2");
+  });
+});
+
+describe("analyzeBuild", () => {
+  it("infers the race and lists unknown actions with suggestions", () => {
+    const { build, inferredRace, unknown } = analyzeBuild({
+      name: "Test",
+      race: "Unknown",
+      steps: [
+        { time: "0:00", supply: 13, action: "Overlord" },
+        { time: "0:50", supply: 17, action: "Hatch" },
+        { time: "1:00", supply: 18, action: "Spawnin Pool" },
+      ],
+    });
+    expect(inferredRace).toBe("Zerg");
+    expect(build.race).toBe("Zerg");
+    expect(build.steps[1].action).toBe("Hatchery");
+    expect(unknown).toEqual([{ stepIndex: 2, name: "Spawnin Pool", suggestions: expect.arrayContaining(["Spawning Pool"]) }]);
+  });
+
+  it("suggests close catalog names", () => {
+    expect(suggestActions("Barracs", "Terran")[0]).toBe("Barracks");
+  });
+});
@@ -0,0 +1,80 @@
+// build-advisor/src/buildDiff.js
+// Aligns two builds step by step (longest common subsequence of actions)
+// and classifies each row as same, shifted, added or removed.
+
+import { enrichSteps, resolveBranches } from "./buildUtils";
+import { analyzeBuild, resolveAction, splitActionItems } from "./actionCatalog";
+
+// What a step does, for matching: catalog names, so "Rax" and "Barracks" or
+// "Gas" and "Refinery" line up. Notes like "(Expand)" and item order don't count.
+function actionKey(action, race) {
+  return splitActionItems(action)
+    .map(item => `${(resolveAction(item.name, race)?.name ?? item.name).toLowerCase().replace(/\s+/g, " ")} x${item.count}`)
+    .sort()
+    .join(", ");
+}
+
+// Index pairs [i, j] of the longest common subsequence of two action lists
+function lcsPairs(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const table = Array.from({ length: rows }, () => new Uint16Array(cols));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+// thresholds: { seconds, supply } – a matched step moved by more than either
+// is reported as "shifted". choices: { left, right }, the branch picked at each
+// side's decision points (see resolveBranches); an undecided decision
+// contributes none of its branches. Rows come back ordered by time.
+export function diffBuilds(left, right, thresholds, choices = {}) {
+  const a = enrichSteps(resolveBranches(left.steps, choices.left ?? {}));
+  const b = enrichSteps(resolveBranches(right.steps, choices.right ?? {}));
+  // Inferred when the build says "Unknown", so race-specific shorthand resolves
+  const leftRace = analyzeBuild(left).build.race;
+  const rightRace = analyzeBuild(right).build.race;
+  const pairs = lcsPairs(a.map(s => actionKey(s.action, leftRace)), b.map(s => actionKey(s.action, rightRace)));
+
+  const rows = [];
+  const matchedA = new Set();
+  const matchedB = new Set();
+
+  for (const [i, j] of pairs) {
+    matchedA.add(i);
+    matchedB.add(j);
+    const dt = b[j].start - a[i].start;
+    const ds = Number(b[j].supply) - Number(a[i].supply);
+    const shifted = Math.abs(dt) > thresholds.seconds || Math.abs(ds) > thresholds.supply;
+    rows.push({ type: shifted ? "shifted" : "same", left: a[i], right: b[j], dt, ds });
+  }
+  a.forEach((s, i) => !matchedA.has(i) && rows.push({ type: "removed", left: s, right: null }));
+  b.forEach((s, j) => !matchedB.has(j) && rows.push({ type: "added", left: null, right: s }));
+
+  const rowTime = r => Math.min(r.left?.start ?? Infinity, r.right?.start ?? Infinity);
+  rows.sort((x, y) => rowTime(x) - rowTime(y) || (x.left?.index ?? x.right.index) - (y.left?.index ?? y.right.index));
+
+  const counts = { same: 0, shifted: 0, added: 0, removed: 0 };
+  for (const r of rows) counts[r.type]++;
+  return { rows, counts };
+}
@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { diffBuilds } from "./buildDiff";
+
+const build = steps => ({ name: "Test", race: "Terran", steps: steps.map(([time, supply, action]) => ({ time, supply, action })) });
+
+describe("diffBuilds", () => {
+  it("classifies same, shifted, added and removed steps", () => {
+    const left = build([["0:18", 14, "Supply Depot"], ["0:40", 16, "Barracks"], ["1:00", 19, "Refinery"]]);
+    const right = build([["0:18", 14, "Supply Depot"], ["0:55", 16, "Barracks"], ["1:30", 20, "Command Center"]]);
+    const { rows, counts } = diffBuilds(left, right, { seconds: 5, supply: 1 });
+    expect(counts).toEqual({ same: 1, shifted: 1, added: 1, removed: 1 });
+    expect(rows.map(r => r.type)).toEqual(["same", "shifted", "removed", "added"]);
+    expect(rows[1].dt).toBe(15);
+  });
+
+  it("matches steps the catalog treats as the same action", () => {
+    const left = build([["0:18", 14, "Supply Depot"], ["0:40", 16, "Barracks"], ["0:45", 16, "Refinery"], ["1:30", 20, "Command Center (Expand)"]]);
+    const right = build([["0:18", 14, "depot"], ["0:40", 16, "Rax"], ["0:45", 16, "Gas"], ["1:30", 20, "CC"]]);
+    expect(diffBuilds(left, right, { seconds: 5, supply: 1 }).counts).toEqual({ same: 4, shifted: 0, added: 0, removed: 0 });
+  });
+
+  it("still tells different counts apart", () => {
+    const left = build([["0:40", 16, "Barracks"]]);
+    const right = build([["0:40", 16, "Barracks x2"]]);
+    expect(diffBuilds(left, right, { seconds: 5, supply: 1 }).counts).toMatchObject({ same: 0, added: 1, removed: 1 });
+  });
+
+  it("compares the chosen branch of each side", () => {
+    const left = build([["0:40", 16, "Barracks"], ["1:00", 19, "Scout"]]);
+    left.steps[1].branches = [
+      { name: "Safe", steps: [{ time: "1:10", supply: 19, action: "Bunker" }] },
+      { name: "Greedy", steps: [{ time: "1:20", supply: 20, action: "Command Center" }] },
+    ];
+    const right = build([["0:40", 16, "Barracks"], ["1:00", 19, "Scout"], ["1:20", 20, "Command Center"]]);
+    const thresholds = { seconds: 5, supply: 1 };
+    expect(diffBuilds(left, right, thresholds).counts).toEqual({ same: 2, shifted: 0, added: 1, removed: 0 });
+    expect(diffBuilds(left, right, thresholds, { left: { "steps[1]": 1 } }).counts)
+      .toEqual({ same: 3, shifted: 0, added: 0, removed: 0 });
+    expect(diffBuilds(left, right, thresholds, { left: { "steps[1]": 0 } }).rows.map(r => r.type))
+      .toEqual(["same", "same", "removed", "added"]);
+  });
+});
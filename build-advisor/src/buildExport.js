@@ -0,0 +1,72 @@
+// build-advisor/src/buildExport.js
+// Formats for getting a build out of the app: CSV, Spawning Tool style
+// text (which the Paste Build page reads back) and re-serialized JSON.
+// The printable cheat sheet lives in pages/CheatSheet.jsx.
+
+import { buildSlug, downloadFile, formatTime, parseTimeSafe } from "./buildUtils";
+
+// "01:5" style times come back as "1:05"
+function normalizeSteps(steps) {
+  return steps.map(step => ({
+    ...step,
+    time: formatTime(parseTimeSafe(step.time)),
+    ...(step.branches && {
+      branches: step.branches.map(b => ({ ...b, steps: normalizeSteps(b.steps) })),
+    }),
+  }));
+}
+
+export function normalizeBuild(build) {
+  return { ...build, steps: normalizeSteps(build.steps) };
+}
+
+// Every step in reading order: a decision point is followed by each of its
+// branches' steps, labelled with the branch ("Early pool › Greedy" when nested).
+// Returns [{ step, branch }]
+export function flattenSteps(steps, branch = null) {
+  return steps.flatMap(step => [
+    { step, branch },
+    ...(step.branches ?? []).flatMap(b => flattenSteps(b.steps, branch ? `${branch} › ${b.name}` : b.name)),
+  ]);
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function buildToCsv(build) {
+  const rows = [
+    ["time", "supply", "action", "branch"],
+    ...flattenSteps(normalizeBuild(build).steps).map(({ step, branch }) => [step.time, step.supply, step.action, branch]),
+  ];
+  return rows.map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// "  14   0:18  Supply Depot" lines; branch steps carry the branch as a note
+export function buildToText(build) {
+  return flattenSteps(normalizeBuild(build).steps)
+    .map(({ step, branch }) => {
+      const action = branch ? `${step.action} (${branch})` : step.action;
+      return `${String(step.supply).padStart(3)}  ${step.time.padStart(5)}  ${action}`;
+    })
+    .join("\n") + "\n";
+}
+
+export const EXPORT_FORMATS = [
+  {
+    id: "csv",
+    label: "CSV",
+    download: build => downloadFile(buildToCsv(build), `${buildSlug(build)}.csv`, "text/csv"),
+  },
+  {
+    id: "text",
+    label: "Text (Spawning Tool style)",
+    download: build => downloadFile(buildToText(build), `${buildSlug(build)}.txt`, "text/plain"),
+  },
+  {
+    id: "json",
+    label: "JSON",
+    download: build => downloadFile(JSON.stringify(normalizeBuild(build), null, 2), `${buildSlug(build)}.json`, "application/json"),
+  },
+];
@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { buildToCsv, buildToText, flattenSteps } from "./buildExport";
+import { parseBuildText } from "./textImport";
+
+const build = {
+  name: "Test",
+  race: "Terran",
+  steps: [
+    { time: "00:18", supply: 14, action: "Supply Depot" },
+    { time: "1:00", supply: 19, action: "Scout, then decide", branches: [
+      { name: "Safe", steps: [{ time: "1:10", supply: 20, action: "Bunker" }] },
+      { name: "Greedy", steps: [{ time: "1:05", supply: 20, action: "Command Center" }] },
+    ] },
+  ],
+};
+
+describe("build export", () => {
+  it("lists branch steps after their decision point", () => {
+    expect(flattenSteps(build.steps).map(r => [r.step.action, r.branch])).toEqual([
+      ["Supply Depot", null],
+      ["Scout, then decide", null],
+      ["Bunker", "Safe"],
+      ["Command Center", "Greedy"],
+    ]);
+  });
+
+  it("writes CSV with quoted cells and normalized times", () => {
+    expect(buildToCsv(build).split("\n").slice(0, 3)).toEqual([
+      "time,supply,action,branch",
+      "0:18,14,Supply Depot,",
+      '1:00,19,"Scout, then decide",',
+    ]);
+  });
+
+  it("writes text that Paste Build reads back", () => {
+    const { steps } = parseBuildText(buildToText({ ...build, steps: build.steps.slice(0, 1) }));
+    expect(steps).toEqual([{ supply: 14, time: "0:18", action: "Supply Depot" }]);
+  });
+});
@@ -0,0 +1,265 @@
+// build-advisor/src/buildUtils.js
+// Shared helpers for reading, checking and writing build-order JSON.
+// Used by the Build Advisor and the in-app editor.
+
+// mm:ss with a two-digit seconds field ("0:15", "12:05")
+const TIME_PATTERN = /^\d+:[0-5]\d$/;
+
+export function isValidTime(t) {
+  return typeof t === "string" && TIME_PATTERN.test(t.trim());
+}
+
+export function parseTimeSafe(t) {
+  if (!t || !t.includes(":")) return 0;
+  const [m, s] = t.split(":").map(n => Number(n) || 0);
+  return m * 60 + s;
+}
+
+// Whole seconds only; the live clock carries fractions
+export function formatTime(seconds) {
+  const total = Math.floor(seconds);
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
+
+// Adds numeric start/end (seconds) to each step; a step ends when the next begins
+export function enrichSteps(steps) {
+  return steps.map((step, i) => {
+    const start = parseTimeSafe(step.time);
+    const end = i < steps.length - 1
+      ? parseTimeSafe(steps[i + 1].time)
+      : Infinity;
+    return { ...step, index: i, start, end };
+  });
+}
+
+// Supply-mode equivalent of enrichSteps: start/end are supply counts.
+// Steps sharing a supply stay active together until a higher supply is reached.
+export function enrichSupplySteps(steps) {
+  return steps.map((step, i) => {
+    const start = Number(step.supply) || 0;
+    const next = steps.slice(i + 1).find(s => Number(s.supply) > start);
+    return { ...step, index: i, start, end: next ? Number(next.supply) : Infinity };
+  });
+}
+
+// Optional per-build `alerts` field: how step callouts are played
+export const ALERT_MODES = ["chime", "speech", "both"];
+
+// Thrown by the loaders when a build fails validation; `errors` holds the
+// full list from validateBuild so the UI can show every problem at once.
+export class BuildValidationError extends Error {
+  constructor(errors, message = "Invalid build format") {
+    super(`${message} (${errors.length} problem${errors.length === 1 ? "" : "s"})`);
+    this.name = "BuildValidationError";
+    this.errors = errors;
+  }
+}
+
+export function formatValidationError(err) {
+  return err.path ? `${err.path}: ${err.message}` : err.message;
+}
+
+// Validate build JSON (tolerant – allows extra keys).
+// Returns a list of { path, message } problems; an empty list means valid.
+export function validateBuild(json) {
+  const errors = [];
+  const add = (path, message) => errors.push({ path, message });
+
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    add("", "build must be a JSON object");
+    return errors;
+  }
+  if (typeof json.name !== "string") add("name", "must be a string");
+  if (typeof json.race !== "string") add("race", "must be a string");
+  if (json.alerts !== undefined && !ALERT_MODES.includes(json.alerts)) {
+    add("alerts", `must be one of ${ALERT_MODES.join(", ")}, got ${JSON.stringify(json.alerts)}`);
+  }
+  if (!Array.isArray(json.steps)) {
+    add("steps", "must be an array");
+    return errors;
+  }
+
+  validateSteps(json.steps, "steps", add, null);
+  if (json.reminders !== undefined) errors.push(...validateReminders(json.reminders));
+  return errors;
+}
+
+// Problems in a list of recurring reminders (see reminders.js), as { path, message }
+export function validateReminders(reminders, prefix = "reminders") {
+  const errors = [];
+  const add = (path, message) => errors.push({ path, message });
+  if (!Array.isArray(reminders)) {
+    add(prefix, "must be an array");
+    return errors;
+  }
+  reminders.forEach((r, i) => {
+    const path = `${prefix}[${i}]`;
+    if (!r || typeof r !== "object" || Array.isArray(r)) {
+      add(path, "must be an object with text and every");
+      return;
+    }
+    if (typeof r.text !== "string" || !r.text.trim()) add(`${path}.text`, "text must be a non-empty string");
+    if (typeof r.every !== "number" || !(r.every > 0)) {
+      add(`${path}.every`, `every must be a positive number of seconds, got ${JSON.stringify(r.every ?? null)}`);
+    }
+    for (const field of ["start", "stop"]) {
+      if (r[field] !== undefined && !isValidTime(r[field])) {
+        add(`${path}.${field}`, `expected mm:ss, got ${JSON.stringify(r[field])}`);
+      }
+    }
+    if (isValidTime(r.start ?? "0:00") && isValidTime(r.stop ?? "") && parseTimeSafe(r.stop) < parseTimeSafe(r.start ?? "0:00")) {
+      add(`${path}.stop`, `stop is before start (${r.stop} < ${r.start})`);
+    }
+    if (r.sound !== undefined && !ALERT_MODES.includes(r.sound)) {
+      add(`${path}.sound`, `must be one of ${ALERT_MODES.join(", ")}, got ${JSON.stringify(r.sound)}`);
+    }
+  });
+  return errors;
+}
+
+// Checks one list of steps (the build's, or a branch's). `after` is the
+// decision step a branch starts from; its steps may not be earlier.
+function validateSteps(steps, prefix, add, after) {
+  let lastTimed = null; // index of the last step with a readable time
+  steps.forEach((step, i) => {
+    const path = `${prefix}[${i}]`;
+    if (!step || typeof step !== "object" || Array.isArray(step)) {
+      add(path, "must be an object with time, supply and action");
+      return;
+    }
+
+    if (!isValidTime(step.time)) {
+      add(`${path}.time`, `expected mm:ss, got ${JSON.stringify(step.time ?? null)}`);
+    } else {
+      if (lastTimed !== null && parseTimeSafe(step.time) < parseTimeSafe(steps[lastTimed].time)) {
+        add(`${path}.time`, `${prefix}[${i}] is earlier than ${prefix}[${lastTimed}] (${step.time} < ${steps[lastTimed].time})`);
+      } else if (lastTimed === null && after && isValidTime(after.time) && parseTimeSafe(step.time) < parseTimeSafe(after.time)) {
+        add(`${path}.time`, `branch starts before its decision point (${step.time} < ${after.time})`);
+      }
+      lastTimed = i;
+    }
+
+    if (typeof step.supply !== "number" || !Number.isInteger(step.supply)) {
+      add(`${path}.supply`, `supply must be an integer, got ${JSON.stringify(step.supply ?? null)}`);
+    }
+
+    if (typeof step.action !== "string" || !step.action.trim()) {
+      add(`${path}.action`, "action must be a non-empty string");
+    }
+
+    if (step.branches !== undefined) validateBranches(step, path, add);
+  });
+}
+
+// A decision point: { ..., branches: [{ name, steps: [...] }, ...] }
+function validateBranches(step, path, add) {
+  if (!Array.isArray(step.branches) || step.branches.length < 2) {
+    add(`${path}.branches`, "a decision point needs at least two branches");
+    return;
+  }
+  step.branches.forEach((branch, j) => {
+    const branchPath = `${path}.branches[${j}]`;
+    if (!branch || typeof branch !== "object" || Array.isArray(branch)) {
+      add(branchPath, "must be an object with name and steps");
+      return;
+    }
+    if (typeof branch.name !== "string" || !branch.name.trim()) {
+      add(`${branchPath}.name`, "branch name must be a non-empty string");
+    }
+    if (!Array.isArray(branch.steps)) {
+      add(`${branchPath}.steps`, "must be an array");
+      return;
+    }
+    validateSteps(branch.steps, `${branchPath}.steps`, add, step);
+  });
+}
+
+// Steps to follow given the branches chosen so far. choices maps a decision
+// step's path ("steps[4]", "steps[4].branches[1].steps[2]") to a branch index.
+// Decision steps get `decision: { path, branches, chosen }`; branch steps are
+// merged into the build by time and tagged with their branch name.
+export function resolveBranches(steps, choices, prefix = "steps") {
+  const resolved = [];
+  steps.forEach((step, i) => {
+    if (!step.branches) {
+      resolved.push(step);
+      return;
+    }
+    const path = `${prefix}[${i}]`;
+    const { branches, ...rest } = step;
+    // A choice made for another build may point past this decision's branches
+    const chosen = branches[choices[path]] ? choices[path] : null;
+    resolved.push({ ...rest, decision: { path, branches: branches.map(b => b.name), chosen } });
+    if (chosen !== null) {
+      const branch = branches[chosen];
+      for (const s of resolveBranches(branch.steps, choices, `${path}.branches[${chosen}].steps`)) {
+        resolved.push({ branch: branch.name, ...s });
+      }
+    }
+  });
+  // Stable sort keeps the decision step ahead of branch steps at the same time
+  return resolved.sort((a, b) => parseTimeSafe(a.time) - parseTimeSafe(b.time));
+}
+
+// The resolved steps up to and including the first undecided decision point
+export function activePath(steps, choices) {
+  const resolved = resolveBranches(steps, choices);
+  const pending = resolved.findIndex(s => s.decision?.chosen === null);
+  return pending === -1 ? resolved : resolved.slice(0, pending + 1);
+}
+
+export const RACES = ["Terran", "Protoss", "Zerg", "Unknown"];
+export const RACE_LETTERS = { T: "Terran", P: "Protoss", Z: "Zerg" };
+
+// Matchup and style from a title like "3racks uThermal (TvX All-In)"
+export function parseTitleMeta(name = "") {
+  const match = /\(([TPZ])v([TPZX])\s*([^)]*)\)\s*$/i.exec(name);
+  if (!match) return { matchup: null, style: null };
+  return {
+    matchup: `${match[1].toUpperCase()}v${match[2].toUpperCase()}`,
+    style: match[3].trim() || null,
+  };
+}
+
+// Fills in metadata for index.json entries written before it was stored
+export function normalizeIndexEntry(entry) {
+  const parsed = parseTitleMeta(entry.name);
+  const matchup = entry.matchup ?? parsed.matchup;
+  const race = entry.race && entry.race !== "Unknown"
+    ? entry.race
+    : RACE_LETTERS[matchup?.[0]] ?? "Unknown";
+  return {
+    ...entry,
+    race,
+    matchup,
+    style: entry.style ?? parsed.style,
+    steps: typeof entry.steps === "number" ? entry.steps : null,
+  };
+}
+
+// "Pig's 3-Rax (TvZ)" → "pig-s-3-rax-tvz"
+export function buildSlug(build) {
+  const slug = (build.name || "build").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return slug || "build";
+}
+
+// Hands `text` to the browser as a download named `filename`
+export function downloadFile(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Saves a build as a .json file that the advisor's file loader accepts
+export function downloadBuild(build) {
+  downloadFile(JSON.stringify(build, null, 2), `${buildSlug(build)}.json`, "application/json");
+}
@@ -0,0 +1,117 @@
+import { describe, expect, it } from "vitest";
+import {
+  activePath,
+  enrichSteps,
+  enrichSupplySteps,
+  formatTime,
+  normalizeIndexEntry,
+  parseTimeSafe,
+  parseTitleMeta,
+  resolveBranches,
+  validateBuild,
+} from "./buildUtils";
+
+const step = (time, supply, action) => ({ time, supply, action });
+
+describe("times", () => {
+  it("parses and formats m:ss", () => {
+    expect(parseTimeSafe("1:05")).toBe(65);
+    expect(parseTimeSafe("")).toBe(0);
+    expect(formatTime(65.9)).toBe("1:05");
+  });
+});
+
+describe("enrichSteps", () => {
+  it("ends each step when the next one starts", () => {
+    const steps = enrichSteps([step("0:10", 13, "SCV"), step("0:20", 14, "Supply Depot")]);
+    expect(steps.map(s => [s.start, s.end])).toEqual([[10, 20], [20, Infinity]]);
+  });
+
+  it("keeps steps sharing a supply active together", () => {
+    const steps = enrichSupplySteps([step("0:10", 14, "A"), step("0:12", 14, "B"), step("0:20", 16, "C")]);
+    expect(steps.map(s => s.end)).toEqual([16, 16, Infinity]);
+  });
+});
+
+describe("validateBuild", () => {
+  const valid = { name: "Test", race: "Terran", steps: [step("0:00", 12, "SCV"), step("0:18", 14, "Supply Depot")] };
+
+  it("accepts a well-formed build with extra keys", () => {
+    expect(validateBuild({ ...valid, description: "extra" })).toEqual([]);
+  });
+
+  it("reports every problem with its path", () => {
+    const errors = validateBuild({ name: "Test", race: "Terran", steps: [step("0:30", "14", ""), step("0:10", 15, "SCV")] });
+    expect(errors.map(e => e.path)).toEqual(["steps[0].supply", "steps[0].action", "steps[1].time"]);
+  });
+
+  it("checks the alert mode", () => {
+    expect(validateBuild({ ...valid, alerts: "loud" }).map(e => e.path)).toEqual(["alerts"]);
+  });
+
+  it("checks reminders", () => {
+    const errors = validateBuild({ ...valid, reminders: [{ text: "Inject", every: 0 }] });
+    expect(errors.map(e => e.path)).toEqual(["reminders[0].every"]);
+  });
+
+  it("requires branches to start at or after their decision point", () => {
+    const errors = validateBuild({
+      ...valid,
+      steps: [
+        { ...step("1:00", 20, "Scout"), branches: [
+          { name: "Safe", steps: [step("0:50", 20, "Bunker")] },
+          { name: "Greedy", steps: [step("1:10", 21, "Command Center")] },
+        ] },
+      ],
+    });
+    expect(errors.map(e => e.path)).toEqual(["steps[0].branches[0].steps[0].time"]);
+  });
+});
+
+describe("resolveBranches", () => {
+  const steps = [
+    step("0:00", 12, "SCV"),
+    { ...step("1:00", 20, "Scout"), branches: [
+      { name: "Safe", steps: [step("1:10", 20, "Bunker")] },
+      { name: "Greedy", steps: [step("1:05", 21, "Command Center")] },
+    ] },
+    step("2:00", 24, "Factory"),
+  ];
+
+  it("stops at an undecided decision point's branches", () => {
+    const resolved = resolveBranches(steps, {});
+    expect(resolved.map(s => s.action)).toEqual(["SCV", "Scout", "Factory"]);
+    expect(resolved[1].decision).toEqual({ path: "steps[1]", branches: ["Safe", "Greedy"], chosen: null });
+  });
+
+  it("merges the chosen branch by time", () => {
+    const resolved = resolveBranches(steps, { "steps[1]": 1 });
+    expect(resolved.map(s => s.action)).toEqual(["SCV", "Scout", "Command Center", "Factory"]);
+    expect(resolved[2].branch).toBe("Greedy");
+  });
+
+  it("ignores a choice past the decision's branches", () => {
+    expect(resolveBranches(steps, { "steps[1]": 5 })[1].decision.chosen).toBeNull();
+  });
+
+  it("ends the active path at the first undecided decision", () => {
+    expect(activePath(steps, {}).map(s => s.action)).toEqual(["SCV", "Scout"]);
+    expect(activePath(steps, { "steps[1]": 0 }).map(s => s.action)).toEqual(["SCV", "Scout", "Bunker", "Factory"]);
+  });
+});
+
+describe("index metadata", () => {
+  it("reads matchup and style from the title", () => {
+    expect(parseTitleMeta("3racks uThermal (TvX All-In)")).toEqual({ matchup: "TvX", style: "All-In" });
+    expect(parseTitleMeta("No meta")).toEqual({ matchup: null, style: null });
+  });
+
+  it("falls back to the matchup for an unknown race", () => {
+    expect(normalizeIndexEntry({ id: "1", name: "Hatch first (ZvP)", race: "Unknown" })).toMatchObject({
+      race: "Zerg",
+      matchup: "ZvP",
+      style: null,
+      steps: null,
+    });
+  });
+});
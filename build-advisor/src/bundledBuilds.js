@@ -0,0 +1,20 @@
+// build-advisor/src/bundledBuilds.js
+// Fetches the build orders bundled under public/build-orders. Kept out of
+// buildUtils.js, which the Vite config also loads, where import.meta.env
+// doesn't exist.
+
+import { normalizeIndexEntry } from "./buildUtils";
+
+export async function fetchBuildIndex() {
+  const res = await fetch(`${import.meta.env.BASE_URL}build-orders/index.json`);
+  if (!res.ok) throw new Error("Build index not found");
+  const entries = await res.json();
+  return entries.map(normalizeIndexEntry);
+}
+
+// A bundled build from build-orders/<id>.json (not yet validated)
+export async function fetchLocalBuild(buildId) {
+  const res = await fetch(`${import.meta.env.BASE_URL}build-orders/${buildId}.json`);
+  if (!res.ok) throw new Error("Build not found");
+  return res.json();
+}
@@ -0,0 +1,219 @@
+// build-advisor/src/bzip2.js
+// Minimal bzip2 decompressor (no CRC checks). SC2 replays compress most of
+// their MPQ entries with bzip2, which browsers can't decode natively.
+
+const BLOCK_MAGIC = 0x314159265359;
+const END_MAGIC = 0x177245385090;
+const MAX_CODE_LEN = 20;
+const GROUP_SIZE = 50;
+
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+    this.bit = 0;
+  }
+
+  // MSB-first; n up to 24 at a time
+  read(n) {
+    let value = 0;
+    for (let i = 0; i < n; i++) {
+      if (this.pos >= this.bytes.length) throw new Error("bzip2: unexpected end of data");
+      value = (value << 1) | ((this.bytes[this.pos] >> (7 - this.bit)) & 1);
+      if (++this.bit === 8) {
+        this.bit = 0;
+        this.pos++;
+      }
+    }
+    return value;
+  }
+
+  read48() {
+    return this.read(24) * 0x1000000 + this.read(24);
+  }
+}
+
+// Decode tables as built by bzip2's BZ2_hbCreateDecodeTables
+function decodeTable(lengths) {
+  const minLen = Math.min(...lengths);
+  const maxLen = Math.max(...lengths);
+  const perm = [];
+  for (let len = minLen; len <= maxLen; len++) {
+    lengths.forEach((l, sym) => l === len && perm.push(sym));
+  }
+  const base = new Array(MAX_CODE_LEN + 2).fill(0);
+  for (const l of lengths) base[l + 1]++;
+  for (let i = 1; i < base.length; i++) base[i] += base[i - 1];
+  const limit = new Array(MAX_CODE_LEN + 1).fill(0);
+  let vec = 0;
+  for (let i = minLen; i <= maxLen; i++) {
+    vec += base[i + 1] - base[i];
+    limit[i] = vec - 1;
+    vec <<= 1;
+  }
+  for (let i = minLen + 1; i <= maxLen; i++) base[i] = ((limit[i - 1] + 1) << 1) - base[i];
+  return { minLen, perm, base, limit };
+}
+
+function decodeSymbol(bits, table) {
+  let len = table.minLen;
+  let code = bits.read(len);
+  while (code > table.limit[len]) {
+    if (++len > MAX_CODE_LEN) throw new Error("bzip2: bad Huffman code");
+    code = (code << 1) | bits.read(1);
+  }
+  return table.perm[code - table.base[len]];
+}
+
+function readBlock(bits, blockSize, out) {
+  bits.read(24); // block CRC, not checked
+  bits.read(8);
+  if (bits.read(1)) throw new Error("bzip2: randomised blocks are not supported");
+  const origPtr = bits.read(24);
+
+  // Byte values used in this block
+  const seqToUnseq = [];
+  const groupsUsed = bits.read(16);
+  for (let i = 0; i < 16; i++) {
+    if (!(groupsUsed & (0x8000 >> i))) continue;
+    const used = bits.read(16);
+    for (let j = 0; j < 16; j++) if (used & (0x8000 >> j)) seqToUnseq.push(i * 16 + j);
+  }
+  if (seqToUnseq.length === 0) throw new Error("bzip2: empty symbol map");
+  const alphaSize = seqToUnseq.length + 2;
+
+  const nGroups = bits.read(3);
+  const nSelectors = bits.read(15);
+  if (nGroups < 2 || nGroups > 6 || nSelectors < 1) throw new Error("bzip2: bad table header");
+  const mtfGroups = Array.from({ length: nGroups }, (_, i) => i);
+  const selectors = [];
+  for (let i = 0; i < nSelectors; i++) {
+    let j = 0;
+    while (bits.read(1)) if (++j >= nGroups) throw new Error("bzip2: bad selector");
+    const g = mtfGroups.splice(j, 1)[0];
+    mtfGroups.unshift(g);
+    selectors.push(g);
+  }
+
+  const tables = [];
+  for (let t = 0; t < nGroups; t++) {
+    const lengths = [];
+    let len = bits.read(5);
+    for (let i = 0; i < alphaSize; i++) {
+      while (bits.read(1)) len += bits.read(1) ? -1 : 1;
+      if (len < 1 || len > MAX_CODE_LEN) throw new Error("bzip2: bad code length");
+      lengths.push(len);
+    }
+    tables.push(decodeTable(lengths));
+  }
+
+  // Huffman → MTF/RLE2 symbols → bytes, counting each byte for the BWT
+  const eob = seqToUnseq.length + 1;
+  const mtf = seqToUnseq.map((_, i) => i);
+  const tt = new Uint32Array(blockSize);
+  const counts = new Uint32Array(256);
+  let n = 0;
+  let run = 0;
+  let runWeight = 1;
+  let selector = 0;
+  let groupLeft = 0;
+  let table = null;
+
+  for (;;) {
+    if (groupLeft-- === 0) {
+      if (selector >= selectors.length) throw new Error("bzip2: ran out of selectors");
+      table = tables[selectors[selector++]];
+      groupLeft = GROUP_SIZE - 1;
+    }
+    const sym = decodeSymbol(bits, table);
+    if (sym <= 1) {
+      // RUNA / RUNB: bijective base-2 run length of the front byte
+      run += (sym + 1) * runWeight;
+      runWeight <<= 1;
+      continue;
+    }
+    if (run > 0) {
+      const b = seqToUnseq[mtf[0]];
+      if (n + run > blockSize) throw new Error("bzip2: block overflow");
+      counts[b] += run;
+      tt.fill(b, n, n + run);
+      n += run;
+      run = 0;
+      runWeight = 1;
+    }
+    if (sym === eob) break;
+    const idx = mtf.splice(sym - 1, 1)[0];
+    mtf.unshift(idx);
+    const b = seqToUnseq[idx];
+    if (n >= blockSize) throw new Error("bzip2: block overflow");
+    counts[b]++;
+    tt[n++] = b;
+  }
+  if (origPtr >= n) throw new Error("bzip2: bad BWT origin");
+
+  // Inverse Burrows–Wheeler transform
+  const starts = new Uint32Array(256);
+  for (let i = 0, sum = 0; i < 256; i++) {
+    starts[i] = sum;
+    sum += counts[i];
+  }
+  for (let i = 0; i < n; i++) tt[starts[tt[i] & 0xff]++] |= i << 8;
+
+  // Undo the initial run-length encoding (4 equal bytes + repeat count)
+  let pos = tt[origPtr] >>> 8;
+  let last = -1;
+  let same = 0;
+  for (let i = 0; i < n; i++) {
+    pos = tt[pos];
+    const b = pos & 0xff;
+    pos >>>= 8;
+    if (same === 4) {
+      for (let k = 0; k < b; k++) out.push(last);
+      same = 0;
+      last = -1;
+      continue;
+    }
+    out.push(b);
+    same = b === last ? same + 1 : 1;
+    last = b;
+  }
+}
+
+// Growable byte buffer
+class Output {
+  constructor(size) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+  }
+
+  push(b) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = b;
+  }
+
+  result() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+export function bunzip2(bytes, expectedSize = 0) {
+  const bits = new BitReader(bytes);
+  if (bits.read(8) !== 0x42 || bits.read(8) !== 0x5a || bits.read(8) !== 0x68) {
+    throw new Error("bzip2: missing BZh header");
+  }
+  const level = bits.read(8) - 0x30;
+  if (level < 1 || level > 9) throw new Error("bzip2: bad block size");
+
+  const out = new Output(Math.max(expectedSize, 1024));
+  for (;;) {
+    const magic = bits.read48();
+    if (magic === END_MAGIC) break;
+    if (magic !== BLOCK_MAGIC) throw new Error("bzip2: bad block header");
+    readBlock(bits, level * 100000, out);
+  }
+  return out.result();
+}
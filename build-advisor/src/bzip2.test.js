@@ -0,0 +1,12 @@
+import { describe, expect, it } from "vitest";
+import { bunzip2 } from "./bzip2";
+
+// Python: bz2.compress(b"Supply Depot, Barracks, Refinery\n" * 20)
+const COMPRESSED = "QlpoOTFBWSZTWY8wFioAAGPXgAAQQAQUABgAKy3eICAAkCjRkDRpkaBSqTTQZDQek4JmTImRMEwTQq0JgnUmxNSak+k9E3JuTBPhMhOZOCbE1JmT8TgmCaE4J/F3JFOFCQjzAWKg";
+
+describe("bunzip2", () => {
+  it("decompresses a bzip2 stream", () => {
+    const bytes = bunzip2(Uint8Array.from(atob(COMPRESSED), c => c.charCodeAt(0)), 660);
+    expect(new TextDecoder().decode(bytes)).toBe("Supply Depot, Barracks, Refinery\n".repeat(20));
+  });
+});
@@ -0,0 +1,189 @@
+// build-advisor/src/data/buildTimes.js
+// Build / research times in real seconds (LotV "Faster"), per race.
+// `producer` is the structure that makes the unit, add-on or upgrade;
+// entries without one are placed by workers (or morph in place).
+
+export const BUILD_TIMES = {
+  Terran: {
+    // Structures
+    "Command Center": { time: 71, kind: "structure", producer: null },
+    "Orbital Command": { time: 25, kind: "structure", producer: "Command Center" },
+    "Planetary Fortress": { time: 36, kind: "structure", producer: "Command Center" },
+    "Supply Depot": { time: 21, kind: "structure", producer: null },
+    "Refinery": { time: 21, kind: "structure", producer: null },
+    "Barracks": { time: 46, kind: "structure", producer: null },
+    "Engineering Bay": { time: 25, kind: "structure", producer: null },
+    "Bunker": { time: 29, kind: "structure", producer: null },
+    "Missile Turret": { time: 18, kind: "structure", producer: null },
+    "Sensor Tower": { time: 18, kind: "structure", producer: null },
+    "Factory": { time: 43, kind: "structure", producer: null },
+    "Ghost Academy": { time: 29, kind: "structure", producer: null },
+    "Armory": { time: 46, kind: "structure", producer: null },
+    "Starport": { time: 36, kind: "structure", producer: null },
+    "Fusion Core": { time: 46, kind: "structure", producer: null },
+    "Tech Lab": { time: 18, kind: "addon", producer: null },
+    "Reactor": { time: 36, kind: "addon", producer: null },
+    // Units
+    "SCV": { time: 12, kind: "unit", producer: "Command Center" },
+    "Marine": { time: 18, kind: "unit", producer: "Barracks" },
+    "Reaper": { time: 32, kind: "unit", producer: "Barracks" },
+    "Marauder": { time: 21, kind: "unit", producer: "Barracks" },
+    "Ghost": { time: 29, kind: "unit", producer: "Barracks" },
+    "Hellion": { time: 21, kind: "unit", producer: "Factory" },
+    "Hellbat": { time: 21, kind: "unit", producer: "Factory" },
+    "Widow Mine": { time: 21, kind: "unit", producer: "Factory" },
+    "Cyclone": { time: 32, kind: "unit", producer: "Factory" },
+    "Siege Tank": { time: 32, kind: "unit", producer: "Factory" },
+    "Thor": { time: 43, kind: "unit", producer: "Factory" },
+    "Viking": { time: 30, kind: "unit", producer: "Starport" },
+    "Medivac": { time: 30, kind: "unit", producer: "Starport" },
+    "Liberator": { time: 43, kind: "unit", producer: "Starport" },
+    "Raven": { time: 34, kind: "unit", producer: "Starport" },
+    "Banshee": { time: 43, kind: "unit", producer: "Starport" },
+    "Battlecruiser": { time: 64, kind: "unit", producer: "Starport" },
+    // Upgrades
+    "Stimpack": { time: 100, kind: "upgrade", producer: "Barracks" },
+    "Combat Shield": { time: 79, kind: "upgrade", producer: "Barracks" },
+    "Concussive Shells": { time: 43, kind: "upgrade", producer: "Barracks" },
+    "Infernal Pre-Igniter": { time: 79, kind: "upgrade", producer: "Factory" },
+    "Drilling Claws": { time: 79, kind: "upgrade", producer: "Factory" },
+    "Smart Servos": { time: 79, kind: "upgrade", producer: "Factory" },
+    "Cloaking Field": { time: 86, kind: "upgrade", producer: "Starport" },
+    "Hyperflight Rotors": { time: 93, kind: "upgrade", producer: "Starport" },
+    "Caduceus Reactor": { time: 50, kind: "upgrade", producer: "Starport" },
+    "Weapon Refit": { time: 43, kind: "upgrade", producer: "Fusion Core" },
+    "Hi-Sec Auto Tracking": { time: 57, kind: "upgrade", producer: "Engineering Bay" },
+    "Neosteel Armor": { time: 100, kind: "upgrade", producer: "Engineering Bay" },
+    "Terran Infantry Weapons Level 1": { time: 114, kind: "upgrade", producer: "Engineering Bay" },
+    "Terran Infantry Weapons Level 2": { time: 136, kind: "upgrade", producer: "Engineering Bay" },
+    "Terran Infantry Weapons Level 3": { time: 157, kind: "upgrade", producer: "Engineering Bay" },
+    "Terran Infantry Armor Level 1": { time: 114, kind: "upgrade", producer: "Engineering Bay" },
+    "Terran Infantry Armor Level 2": { time: 136, kind: "upgrade", producer: "Engineering Bay" },
+    "Terran Infantry Armor Level 3": { time: 157, kind: "upgrade", producer: "Engineering Bay" },
+    "Terran Vehicle Weapons Level 1": { time: 114, kind: "upgrade", producer: "Armory" },
+    "Terran Vehicle Weapons Level 2": { time: 136, kind: "upgrade", producer: "Armory" },
+    "Terran Vehicle Weapons Level 3": { time: 157, kind: "upgrade", producer: "Armory" },
+    "Terran Ship Weapons Level 1": { time: 114, kind: "upgrade", producer: "Armory" },
+    "Terran Ship Weapons Level 2": { time: 136, kind: "upgrade", producer: "Armory" },
+    "Terran Ship Weapons Level 3": { time: 157, kind: "upgrade", producer: "Armory" },
+    "Terran Vehicle and Ship Plating Level 1": { time: 114, kind: "upgrade", producer: "Armory" },
+    "Terran Vehicle and Ship Plating Level 2": { time: 136, kind: "upgrade", producer: "Armory" },
+    "Terran Vehicle and Ship Plating Level 3": { time: 157, kind: "upgrade", producer: "Armory" },
+  },
+  Protoss: {
+    "Nexus": { time: 71, kind: "structure", producer: null },
+    "Pylon": { time: 18, kind: "structure", producer: null },
+    "Assimilator": { time: 21, kind: "structure", producer: null },
+    "Gateway": { time: 46, kind: "structure", producer: null },
+    "Forge": { time: 32, kind: "structure", producer: null },
+    "Cybernetics Core": { time: 36, kind: "structure", producer: null },
+    "Photon Cannon": { time: 29, kind: "structure", producer: null },
+    "Shield Battery": { time: 29, kind: "structure", producer: null },
+    "Twilight Council": { time: 36, kind: "structure", producer: null },
+    "Robotics Facility": { time: 46, kind: "structure", producer: null },
+    "Stargate": { time: 43, kind: "structure", producer: null },
+    "Templar Archives": { time: 36, kind: "structure", producer: null },
+    "Dark Shrine": { time: 71, kind: "structure", producer: null },
+    "Robotics Bay": { time: 46, kind: "structure", producer: null },
+    "Fleet Beacon": { time: 43, kind: "structure", producer: null },
+    "Probe": { time: 12, kind: "unit", producer: "Nexus" },
+    "Zealot": { time: 27, kind: "unit", producer: "Gateway" },
+    "Stalker": { time: 27, kind: "unit", producer: "Gateway" },
+    "Sentry": { time: 23, kind: "unit", producer: "Gateway" },
+    "Adept": { time: 27, kind: "unit", producer: "Gateway" },
+    "High Templar": { time: 39, kind: "unit", producer: "Gateway" },
+    "Dark Templar": { time: 39, kind: "unit", producer: "Gateway" },
+    "Observer": { time: 21, kind: "unit", producer: "Robotics Facility" },
+    "Warp Prism": { time: 36, kind: "unit", producer: "Robotics Facility" },
+    "Immortal": { time: 39, kind: "unit", producer: "Robotics Facility" },
+    "Colossus": { time: 54, kind: "unit", producer: "Robotics Facility" },
+    "Disruptor": { time: 36, kind: "unit", producer: "Robotics Facility" },
+    "Phoenix": { time: 25, kind: "unit", producer: "Stargate" },
+    "Oracle": { time: 37, kind: "unit", producer: "Stargate" },
+    "Void Ray": { time: 37, kind: "unit", producer: "Stargate" },
+    "Tempest": { time: 43, kind: "unit", producer: "Stargate" },
+    "Carrier": { time: 64, kind: "unit", producer: "Stargate" },
+    "Mothership": { time: 79, kind: "unit", producer: "Nexus" },
+    "Warp Gate": { time: 100, kind: "upgrade", producer: "Cybernetics Core" },
+    "Blink": { time: 86, kind: "upgrade", producer: "Twilight Council" },
+    "Charge": { time: 100, kind: "upgrade", producer: "Twilight Council" },
+    "Resonating Glaives": { time: 100, kind: "upgrade", producer: "Twilight Council" },
+    "Psionic Storm": { time: 79, kind: "upgrade", producer: "Templar Archives" },
+    "Extended Thermal Lance": { time: 100, kind: "upgrade", producer: "Robotics Bay" },
+    "Gravitic Boosters": { time: 57, kind: "upgrade", producer: "Robotics Bay" },
+    "Protoss Ground Weapons Level 1": { time: 129, kind: "upgrade", producer: "Forge" },
+    "Protoss Ground Weapons Level 2": { time: 154, kind: "upgrade", producer: "Forge" },
+    "Protoss Ground Weapons Level 3": { time: 179, kind: "upgrade", producer: "Forge" },
+    "Protoss Ground Armor Level 1": { time: 129, kind: "upgrade", producer: "Forge" },
+    "Protoss Ground Armor Level 2": { time: 154, kind: "upgrade", producer: "Forge" },
+    "Protoss Ground Armor Level 3": { time: 179, kind: "upgrade", producer: "Forge" },
+    "Protoss Shields Level 1": { time: 129, kind: "upgrade", producer: "Forge" },
+    "Protoss Shields Level 2": { time: 154, kind: "upgrade", producer: "Forge" },
+    "Protoss Shields Level 3": { time: 179, kind: "upgrade", producer: "Forge" },
+    "Protoss Air Weapons Level 1": { time: 129, kind: "upgrade", producer: "Cybernetics Core" },
+    "Protoss Air Weapons Level 2": { time: 154, kind: "upgrade", producer: "Cybernetics Core" },
+    "Protoss Air Weapons Level 3": { time: 179, kind: "upgrade", producer: "Cybernetics Core" },
+    "Protoss Air Armor Level 1": { time: 129, kind: "upgrade", producer: "Cybernetics Core" },
+    "Protoss Air Armor Level 2": { time: 154, kind: "upgrade", producer: "Cybernetics Core" },
+    "Protoss Air Armor Level 3": { time: 179, kind: "upgrade", producer: "Cybernetics Core" },
+  },
+  Zerg: {
+    "Hatchery": { time: 71, kind: "structure", producer: null },
+    "Extractor": { time: 21, kind: "structure", producer: null },
+    "Spawning Pool": { time: 46, kind: "structure", producer: null },
+    "Evolution Chamber": { time: 25, kind: "structure", producer: null },
+    "Roach Warren": { time: 39, kind: "structure", producer: null },
+    "Baneling Nest": { time: 43, kind: "structure", producer: null },
+    "Spine Crawler": { time: 36, kind: "structure", producer: null },
+    "Spore Crawler": { time: 21, kind: "structure", producer: null },
+    "Lair": { time: 57, kind: "structure", producer: "Hatchery" },
+    "Hydralisk Den": { time: 29, kind: "structure", producer: null },
+    "Lurker Den": { time: 57, kind: "structure", producer: null },
+    "Infestation Pit": { time: 36, kind: "structure", producer: null },
+    "Spire": { time: 71, kind: "structure", producer: null },
+    "Nydus Network": { time: 36, kind: "structure", producer: null },
+    "Hive": { time: 71, kind: "structure", producer: "Lair" },
+    "Ultralisk Cavern": { time: 46, kind: "structure", producer: null },
+    "Greater Spire": { time: 71, kind: "structure", producer: "Spire" },
+    "Drone": { time: 12, kind: "unit", producer: "Hatchery" },
+    "Overlord": { time: 18, kind: "unit", producer: "Hatchery" },
+    "Queen": { time: 36, kind: "unit", producer: "Hatchery" },
+    "Zergling": { time: 17, kind: "unit", producer: "Hatchery" },
+    "Baneling": { time: 14, kind: "unit", producer: null },
+    "Roach": { time: 19, kind: "unit", producer: "Hatchery" },
+    "Ravager": { time: 9, kind: "unit", producer: null },
+    "Hydralisk": { time: 24, kind: "unit", producer: "Hatchery" },
+    "Lurker": { time: 18, kind: "unit", producer: null },
+    "Mutalisk": { time: 24, kind: "unit", producer: "Hatchery" },
+    "Corruptor": { time: 29, kind: "unit", producer: "Hatchery" },
+    "Infestor": { time: 36, kind: "unit", producer: "Hatchery" },
+    "Swarm Host": { time: 29, kind: "unit", producer: "Hatchery" },
+    "Viper": { time: 29, kind: "unit", producer: "Hatchery" },
+    "Ultralisk": { time: 39, kind: "unit", producer: "Hatchery" },
+    "Brood Lord": { time: 24, kind: "unit", producer: null },
+    "Overseer": { time: 12, kind: "unit", producer: null },
+    "Metabolic Boost": { time: 79, kind: "upgrade", producer: "Spawning Pool" },
+    "Adrenal Glands": { time: 93, kind: "upgrade", producer: "Spawning Pool" },
+    "Centrifugal Hooks": { time: 71, kind: "upgrade", producer: "Baneling Nest" },
+    "Glial Reconstitution": { time: 79, kind: "upgrade", producer: "Roach Warren" },
+    "Burrow": { time: 71, kind: "upgrade", producer: "Hatchery" },
+    "Pneumatized Carapace": { time: 43, kind: "upgrade", producer: "Hatchery" },
+    "Grooved Spines": { time: 50, kind: "upgrade", producer: "Hydralisk Den" },
+    "Muscular Augments": { time: 64, kind: "upgrade", producer: "Hydralisk Den" },
+    "Zerg Melee Attacks Level 1": { time: 114, kind: "upgrade", producer: "Evolution Chamber" },
+    "Zerg Melee Attacks Level 2": { time: 136, kind: "upgrade", producer: "Evolution Chamber" },
+    "Zerg Melee Attacks Level 3": { time: 157, kind: "upgrade", producer: "Evolution Chamber" },
+    "Zerg Missile Attacks Level 1": { time: 114, kind: "upgrade", producer: "Evolution Chamber" },
+    "Zerg Missile Attacks Level 2": { time: 136, kind: "upgrade", producer: "Evolution Chamber" },
+    "Zerg Missile Attacks Level 3": { time: 157, kind: "upgrade", producer: "Evolution Chamber" },
+    "Zerg Ground Carapace Level 1": { time: 114, kind: "upgrade", producer: "Evolution Chamber" },
+    "Zerg Ground Carapace Level 2": { time: 136, kind: "upgrade", producer: "Evolution Chamber" },
+    "Zerg Ground Carapace Level 3": { time: 157, kind: "upgrade", producer: "Evolution Chamber" },
+    "Zerg Flyer Attacks Level 1": { time: 114, kind: "upgrade", producer: "Spire" },
+    "Zerg Flyer Attacks Level 2": { time: 136, kind: "upgrade", producer: "Spire" },
+    "Zerg Flyer Attacks Level 3": { time: 157, kind: "upgrade", producer: "Spire" },
+    "Zerg Flyer Carapace Level 1": { time: 114, kind: "upgrade", producer: "Spire" },
+    "Zerg Flyer Carapace Level 2": { time: 136, kind: "upgrade", producer: "Spire" },
+    "Zerg Flyer Carapace Level 3": { time: 157, kind: "upgrade", producer: "Spire" },
+  },
+};
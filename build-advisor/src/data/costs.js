@@ -0,0 +1,206 @@
+// build-advisor/src/data/costs.js
+// Mineral, gas and supply costs (LotV), per race, keyed like BUILD_TIMES.
+// Morphs (Orbital Command, Lair, Baneling, ...) list only what the morph
+// adds on top of what it morphs from. Zergling is per ling; a larva makes two.
+
+export const COSTS = {
+  Terran: {
+    // Structures
+    "Command Center": { minerals: 400, gas: 0, supply: 0 },
+    "Orbital Command": { minerals: 150, gas: 0, supply: 0 },
+    "Planetary Fortress": { minerals: 150, gas: 150, supply: 0 },
+    "Supply Depot": { minerals: 100, gas: 0, supply: 0 },
+    "Refinery": { minerals: 75, gas: 0, supply: 0 },
+    "Barracks": { minerals: 150, gas: 0, supply: 0 },
+    "Engineering Bay": { minerals: 125, gas: 0, supply: 0 },
+    "Bunker": { minerals: 100, gas: 0, supply: 0 },
+    "Missile Turret": { minerals: 100, gas: 0, supply: 0 },
+    "Sensor Tower": { minerals: 125, gas: 100, supply: 0 },
+    "Factory": { minerals: 150, gas: 100, supply: 0 },
+    "Ghost Academy": { minerals: 150, gas: 50, supply: 0 },
+    "Armory": { minerals: 150, gas: 100, supply: 0 },
+    "Starport": { minerals: 150, gas: 100, supply: 0 },
+    "Fusion Core": { minerals: 150, gas: 150, supply: 0 },
+    // Add-ons
+    "Tech Lab": { minerals: 50, gas: 25, supply: 0 },
+    "Reactor": { minerals: 50, gas: 50, supply: 0 },
+    // Units
+    "SCV": { minerals: 50, gas: 0, supply: 1 },
+    "Marine": { minerals: 50, gas: 0, supply: 1 },
+    "Reaper": { minerals: 50, gas: 50, supply: 1 },
+    "Marauder": { minerals: 100, gas: 25, supply: 2 },
+    "Ghost": { minerals: 150, gas: 125, supply: 2 },
+    "Hellion": { minerals: 100, gas: 0, supply: 2 },
+    "Hellbat": { minerals: 100, gas: 0, supply: 2 },
+    "Widow Mine": { minerals: 75, gas: 25, supply: 2 },
+    "Cyclone": { minerals: 125, gas: 50, supply: 3 },
+    "Siege Tank": { minerals: 150, gas: 125, supply: 3 },
+    "Thor": { minerals: 300, gas: 200, supply: 6 },
+    "Viking": { minerals: 150, gas: 75, supply: 2 },
+    "Medivac": { minerals: 100, gas: 100, supply: 2 },
+    "Liberator": { minerals: 150, gas: 150, supply: 3 },
+    "Raven": { minerals: 100, gas: 150, supply: 2 },
+    "Banshee": { minerals: 150, gas: 100, supply: 3 },
+    "Battlecruiser": { minerals: 400, gas: 300, supply: 6 },
+    // Upgrades
+    "Stimpack": { minerals: 100, gas: 100, supply: 0 },
+    "Combat Shield": { minerals: 100, gas: 100, supply: 0 },
+    "Concussive Shells": { minerals: 50, gas: 50, supply: 0 },
+    "Infernal Pre-Igniter": { minerals: 100, gas: 100, supply: 0 },
+    "Drilling Claws": { minerals: 75, gas: 75, supply: 0 },
+    "Smart Servos": { minerals: 100, gas: 100, supply: 0 },
+    "Cloaking Field": { minerals: 100, gas: 100, supply: 0 },
+    "Hyperflight Rotors": { minerals: 150, gas: 150, supply: 0 },
+    "Caduceus Reactor": { minerals: 100, gas: 100, supply: 0 },
+    "Weapon Refit": { minerals: 150, gas: 150, supply: 0 },
+    "Hi-Sec Auto Tracking": { minerals: 100, gas: 100, supply: 0 },
+    "Neosteel Armor": { minerals: 150, gas: 150, supply: 0 },
+    "Terran Infantry Weapons Level 1": { minerals: 100, gas: 100, supply: 0 },
+    "Terran Infantry Weapons Level 2": { minerals: 175, gas: 175, supply: 0 },
+    "Terran Infantry Weapons Level 3": { minerals: 250, gas: 250, supply: 0 },
+    "Terran Infantry Armor Level 1": { minerals: 100, gas: 100, supply: 0 },
+    "Terran Infantry Armor Level 2": { minerals: 175, gas: 175, supply: 0 },
+    "Terran Infantry Armor Level 3": { minerals: 250, gas: 250, supply: 0 },
+    "Terran Vehicle Weapons Level 1": { minerals: 100, gas: 100, supply: 0 },
+    "Terran Vehicle Weapons Level 2": { minerals: 175, gas: 175, supply: 0 },
+    "Terran Vehicle Weapons Level 3": { minerals: 250, gas: 250, supply: 0 },
+    "Terran Ship Weapons Level 1": { minerals: 100, gas: 100, supply: 0 },
+    "Terran Ship Weapons Level 2": { minerals: 175, gas: 175, supply: 0 },
+    "Terran Ship Weapons Level 3": { minerals: 250, gas: 250, supply: 0 },
+    "Terran Vehicle and Ship Plating Level 1": { minerals: 100, gas: 100, supply: 0 },
+    "Terran Vehicle and Ship Plating Level 2": { minerals: 175, gas: 175, supply: 0 },
+    "Terran Vehicle and Ship Plating Level 3": { minerals: 250, gas: 250, supply: 0 },
+  },
+  Protoss: {
+    // Structures
+    "Nexus": { minerals: 400, gas: 0, supply: 0 },
+    "Pylon": { minerals: 100, gas: 0, supply: 0 },
+    "Assimilator": { minerals: 75, gas: 0, supply: 0 },
+    "Gateway": { minerals: 150, gas: 0, supply: 0 },
+    "Forge": { minerals: 150, gas: 0, supply: 0 },
+    "Cybernetics Core": { minerals: 150, gas: 0, supply: 0 },
+    "Photon Cannon": { minerals: 150, gas: 0, supply: 0 },
+    "Shield Battery": { minerals: 100, gas: 0, supply: 0 },
+    "Twilight Council": { minerals: 150, gas: 100, supply: 0 },
+    "Robotics Facility": { minerals: 150, gas: 100, supply: 0 },
+    "Stargate": { minerals: 150, gas: 150, supply: 0 },
+    "Templar Archives": { minerals: 150, gas: 200, supply: 0 },
+    "Dark Shrine": { minerals: 150, gas: 150, supply: 0 },
+    "Robotics Bay": { minerals: 150, gas: 150, supply: 0 },
+    "Fleet Beacon": { minerals: 300, gas: 200, supply: 0 },
+    // Units
+    "Probe": { minerals: 50, gas: 0, supply: 1 },
+    "Zealot": { minerals: 100, gas: 0, supply: 2 },
+    "Stalker": { minerals: 125, gas: 50, supply: 2 },
+    "Sentry": { minerals: 50, gas: 100, supply: 2 },
+    "Adept": { minerals: 100, gas: 25, supply: 2 },
+    "High Templar": { minerals: 50, gas: 150, supply: 2 },
+    "Dark Templar": { minerals: 125, gas: 125, supply: 2 },
+    "Observer": { minerals: 25, gas: 75, supply: 1 },
+    "Warp Prism": { minerals: 250, gas: 0, supply: 2 },
+    "Immortal": { minerals: 275, gas: 100, supply: 4 },
+    "Colossus": { minerals: 300, gas: 200, supply: 6 },
+    "Disruptor": { minerals: 150, gas: 150, supply: 3 },
+    "Phoenix": { minerals: 150, gas: 100, supply: 2 },
+    "Oracle": { minerals: 150, gas: 150, supply: 3 },
+    "Void Ray": { minerals: 250, gas: 150, supply: 4 },
+    "Tempest": { minerals: 250, gas: 175, supply: 5 },
+    "Carrier": { minerals: 350, gas: 250, supply: 6 },
+    "Mothership": { minerals: 400, gas: 400, supply: 8 },
+    // Upgrades
+    "Warp Gate": { minerals: 50, gas: 50, supply: 0 },
+    "Blink": { minerals: 150, gas: 150, supply: 0 },
+    "Charge": { minerals: 100, gas: 100, supply: 0 },
+    "Resonating Glaives": { minerals: 100, gas: 100, supply: 0 },
+    "Psionic Storm": { minerals: 200, gas: 200, supply: 0 },
+    "Extended Thermal Lance": { minerals: 150, gas: 150, supply: 0 },
+    "Gravitic Boosters": { minerals: 100, gas: 100, supply: 0 },
+    "Protoss Ground Weapons Level 1": { minerals: 100, gas: 100, supply: 0 },
+    "Protoss Ground Weapons Level 2": { minerals: 150, gas: 150, supply: 0 },
+    "Protoss Ground Weapons Level 3": { minerals: 200, gas: 200, supply: 0 },
+    "Protoss Ground Armor Level 1": { minerals: 100, gas: 100, supply: 0 },
+    "Protoss Ground Armor Level 2": { minerals: 150, gas: 150, supply: 0 },
+    "Protoss Ground Armor Level 3": { minerals: 200, gas: 200, supply: 0 },
+    "Protoss Shields Level 1": { minerals: 150, gas: 150, supply: 0 },
+    "Protoss Shields Level 2": { minerals: 225, gas: 225, supply: 0 },
+    "Protoss Shields Level 3": { minerals: 300, gas: 300, supply: 0 },
+    "Protoss Air Weapons Level 1": { minerals: 100, gas: 100, supply: 0 },
+    "Protoss Air Weapons Level 2": { minerals: 175, gas: 175, supply: 0 },
+    "Protoss Air Weapons Level 3": { minerals: 250, gas: 250, supply: 0 },
+    "Protoss Air Armor Level 1": { minerals: 150, gas: 150, supply: 0 },
+    "Protoss Air Armor Level 2": { minerals: 225, gas: 225, supply: 0 },
+    "Protoss Air Armor Level 3": { minerals: 300, gas: 300, supply: 0 },
+  },
+  Zerg: {
+    // Structures
+    "Hatchery": { minerals: 275, gas: 0, supply: 0 },
+    "Extractor": { minerals: 25, gas: 0, supply: 0 },
+    "Spawning Pool": { minerals: 200, gas: 0, supply: 0 },
+    "Evolution Chamber": { minerals: 75, gas: 0, supply: 0 },
+    "Roach Warren": { minerals: 150, gas: 0, supply: 0 },
+    "Baneling Nest": { minerals: 100, gas: 50, supply: 0 },
+    "Spine Crawler": { minerals: 100, gas: 0, supply: 0 },
+    "Spore Crawler": { minerals: 75, gas: 0, supply: 0 },
+    "Lair": { minerals: 150, gas: 100, supply: 0 },
+    "Hydralisk Den": { minerals: 100, gas: 100, supply: 0 },
+    "Lurker Den": { minerals: 100, gas: 150, supply: 0 },
+    "Infestation Pit": { minerals: 100, gas: 100, supply: 0 },
+    "Spire": { minerals: 200, gas: 200, supply: 0 },
+    "Nydus Network": { minerals: 150, gas: 150, supply: 0 },
+    "Hive": { minerals: 200, gas: 150, supply: 0 },
+    "Ultralisk Cavern": { minerals: 150, gas: 200, supply: 0 },
+    "Greater Spire": { minerals: 100, gas: 150, supply: 0 },
+    // Units
+    "Drone": { minerals: 50, gas: 0, supply: 1 },
+    "Overlord": { minerals: 100, gas: 0, supply: 0 },
+    "Queen": { minerals: 150, gas: 0, supply: 2 },
+    "Zergling": { minerals: 25, gas: 0, supply: 0.5 },
+    "Baneling": { minerals: 25, gas: 25, supply: 0 },
+    "Roach": { minerals: 75, gas: 25, supply: 2 },
+    "Ravager": { minerals: 25, gas: 75, supply: 1 },
+    "Hydralisk": { minerals: 100, gas: 50, supply: 2 },
+    "Lurker": { minerals: 50, gas: 100, supply: 1 },
+    "Mutalisk": { minerals: 100, gas: 100, supply: 2 },
+    "Corruptor": { minerals: 150, gas: 100, supply: 2 },
+    "Infestor": { minerals: 100, gas: 150, supply: 2 },
+    "Swarm Host": { minerals: 100, gas: 75, supply: 3 },
+    "Viper": { minerals: 100, gas: 200, supply: 3 },
+    "Ultralisk": { minerals: 275, gas: 200, supply: 6 },
+    "Brood Lord": { minerals: 150, gas: 150, supply: 2 },
+    "Overseer": { minerals: 50, gas: 50, supply: 0 },
+    // Upgrades
+    "Metabolic Boost": { minerals: 100, gas: 100, supply: 0 },
+    "Adrenal Glands": { minerals: 200, gas: 200, supply: 0 },
+    "Centrifugal Hooks": { minerals: 100, gas: 100, supply: 0 },
+    "Glial Reconstitution": { minerals: 100, gas: 100, supply: 0 },
+    "Burrow": { minerals: 100, gas: 100, supply: 0 },
+    "Pneumatized Carapace": { minerals: 100, gas: 100, supply: 0 },
+    "Grooved Spines": { minerals: 100, gas: 100, supply: 0 },
+    "Muscular Augments": { minerals: 100, gas: 100, supply: 0 },
+    "Zerg Melee Attacks Level 1": { minerals: 100, gas: 100, supply: 0 },
+    "Zerg Melee Attacks Level 2": { minerals: 150, gas: 150, supply: 0 },
+    "Zerg Melee Attacks Level 3": { minerals: 200, gas: 200, supply: 0 },
+    "Zerg Missile Attacks Level 1": { minerals: 100, gas: 100, supply: 0 },
+    "Zerg Missile Attacks Level 2": { minerals: 150, gas: 150, supply: 0 },
+    "Zerg Missile Attacks Level 3": { minerals: 200, gas: 200, supply: 0 },
+    "Zerg Ground Carapace Level 1": { minerals: 150, gas: 150, supply: 0 },
+    "Zerg Ground Carapace Level 2": { minerals: 225, gas: 225, supply: 0 },
+    "Zerg Ground Carapace Level 3": { minerals: 300, gas: 300, supply: 0 },
+    "Zerg Flyer Attacks Level 1": { minerals: 100, gas: 100, supply: 0 },
+    "Zerg Flyer Attacks Level 2": { minerals: 175, gas: 175, supply: 0 },
+    "Zerg Flyer Attacks Level 3": { minerals: 250, gas: 250, supply: 0 },
+    "Zerg Flyer Carapace Level 1": { minerals: 150, gas: 150, supply: 0 },
+    "Zerg Flyer Carapace Level 2": { minerals: 225, gas: 225, supply: 0 },
+    "Zerg Flyer Carapace Level 3": { minerals: 300, gas: 300, supply: 0 },
+  },
+};
+
+// Supply cap each finished structure / unit adds (morphs keep their base's)
+export const SUPPLY_PROVIDED = {
+  "Command Center": 15,
+  "Supply Depot": 8,
+  "Nexus": 15,
+  "Pylon": 8,
+  "Hatchery": 6,
+  "Overlord": 8,
+};
@@ -0,0 +1,74 @@
+// build-advisor/src/db.js
+// Minimal promise wrapper around the app's IndexedDB database.
+// Stores are created in onupgradeneeded; bump DB_VERSION when adding one.
+
+const DB_NAME = "build-advisor";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function upgrade(db) {
+  // Practice runs: one record per session, looked up by build
+  if (!db.objectStoreNames.contains("sessions")) {
+    const sessions = db.createObjectStore("sessions", { keyPath: "id", autoIncrement: true });
+    sessions.createIndex("buildKey", "buildKey");
+  }
+  // "My Builds": the player's own saved copies
+  if (!db.objectStoreNames.contains("builds")) {
+    db.createObjectStore("builds", { keyPath: "id", autoIncrement: true });
+  }
+}
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!("indexedDB" in window)) {
+        reject(new Error("IndexedDB is not supported in this browser."));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => upgrade(req.result);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  return promisify(fn(db.transaction(storeName, mode).objectStore(storeName)));
+}
+
+export function addRecord(storeName, value) {
+  return withStore(storeName, "readwrite", store => store.add(value));
+}
+
+export function putRecord(storeName, value) {
+  return withStore(storeName, "readwrite", store => store.put(value));
+}
+
+export function deleteRecord(storeName, key) {
+  return withStore(storeName, "readwrite", store => store.delete(key));
+}
+
+export function getRecord(storeName, key) {
+  return withStore(storeName, "readonly", store => store.get(key));
+}
+
+export function getAllRecords(storeName) {
+  return withStore(storeName, "readonly", store => store.getAll());
+}
+
+export function getAllByIndex(storeName, indexName, key) {
+  return withStore(storeName, "readonly", store => store.index(indexName).getAll(key));
+}
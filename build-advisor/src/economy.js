@@ -0,0 +1,223 @@
+// build-advisor/src/economy.js
+// Rough economy simulation used to sanity-check a build's timings: walks
+// the steps in time order with a simple worker-income model and reports the
+// estimated bank before each step, and whether the step looks affordable
+// and unblocked at its stated time.
+//
+// Build orders rarely list every worker, so supply a step claims beyond what
+// the listed units explain is treated as workers trained since the previous
+// step (up to saturation, then as army). Steps the bank can't cover are still
+// paid for (down to zero), so one mistyped timing doesn't flag every step
+// after it. Most builds stop listing supply structures after the opening;
+// once supply runs well past the cap, supply blocks are no longer reported.
+
+import { resolveAction, splitActionItems } from "./actionCatalog";
+import { SUPPLY_PROVIDED } from "./data/costs";
+import { parseTimeSafe } from "./buildUtils";
+
+const START_MINERALS = 50;
+const START_WORKERS = 12;
+const START_SUPPLY_CAP = { Terran: 15, Protoss: 15, Zerg: 14 };
+const MAX_SUPPLY = 200;
+
+const MINERAL_RATE = 0.85; // per worker per second incl. walking, two per patch (16 a base)
+const OVERSATURATED_RATE = 0.4; // third worker on a patch (17th–24th)
+const GAS_RATE = 0.9; // per worker per second, three per geyser
+const MULE_RATE = 225 / 64; // one MULE's haul over its lifetime
+const MULE_LIFETIME = 64;
+const WORKER_TIME = 12;
+const WORKER_COST = 50;
+const ARMY_COST_PER_SUPPLY = 50; // unlisted army, roughly a Marine / Zergling pair
+const SATURATION = { base: 16, geyser: 3 };
+const UNLISTED_SUPPLY = 8; // over the cap by more than a depot: supply isn't being listed
+
+// Waiting this long for the money is ordinary timing slop, not a typo
+const TIGHT_SLACK = 10;
+
+const WORKERS = new Set(["SCV", "Probe", "Drone"]);
+const TOWN_HALLS = new Set(["Command Center", "Nexus", "Hatchery"]);
+const GAS_BUILDINGS = new Set(["Refinery", "Assimilator", "Extractor"]);
+
+function createState(race) {
+  return {
+    time: 0,
+    minerals: START_MINERALS,
+    gas: 0,
+    workers: START_WORKERS,
+    bases: 1,
+    geysers: 0,
+    // Counting the ones still in production
+    planned: { workers: START_WORKERS, bases: 1, geysers: 0 },
+    supplyListed: true,
+    mules: [], // end times
+    supplyUsed: START_WORKERS,
+    supplyCap: START_SUPPLY_CAP[race] ?? 15,
+    pending: [], // [{ at, apply }]
+  };
+}
+
+function income(state) {
+  const gasWorkers = Math.min(state.geysers * 3, state.workers);
+  const mining = state.workers - gasWorkers;
+  const saturated = Math.min(mining, 16 * state.bases);
+  const extra = Math.min(mining - saturated, 8 * state.bases);
+  return {
+    minerals: saturated * MINERAL_RATE + extra * OVERSATURATED_RATE + state.mules.length * MULE_RATE,
+    gas: gasWorkers * GAS_RATE,
+  };
+}
+
+function at(state, time, apply) {
+  state.pending.push({ at: time, apply });
+}
+
+function runPending(state) {
+  const due = state.pending.filter(p => p.at <= state.time).sort((a, b) => a.at - b.at);
+  state.pending = state.pending.filter(p => p.at > state.time);
+  for (const p of due) p.apply(state);
+}
+
+// Second-by-second income up to `time`, finishing whatever completes on the way
+function advance(state, time) {
+  while (state.time < time) {
+    runPending(state);
+    state.mules = state.mules.filter(end => end > state.time);
+    const rate = income(state);
+    state.minerals += rate.minerals;
+    state.gas += rate.gas;
+    state.time++;
+  }
+  runPending(state);
+}
+
+function spend(state, cost) {
+  state.minerals = Math.max(0, state.minerals - cost.minerals);
+  state.gas = Math.max(0, state.gas - cost.gas);
+}
+
+// Unlisted supply between the previous step and `time`, spread evenly:
+// workers while the bases and geysers have room, army after that
+function fillSupply(state, supply, time) {
+  const room = SATURATION.base * state.planned.bases + SATURATION.geyser * state.planned.geysers;
+  const workers = Math.max(0, Math.min(supply, room - state.planned.workers));
+  for (let i = 0; i < supply; i++) {
+    const queued = state.time + ((time - state.time) * i) / supply;
+    if (i < workers) {
+      at(state, queued, s => spend(s, { minerals: WORKER_COST, gas: 0 }));
+      at(state, queued + WORKER_TIME, s => s.workers++);
+    } else {
+      at(state, queued, s => spend(s, { minerals: ARMY_COST_PER_SUPPLY, gas: 0 }));
+    }
+  }
+  state.planned.workers += workers;
+  state.supplyUsed += supply;
+}
+
+// Seconds of income needed to cover `cost` from the current bank
+function waitFor(state, cost) {
+  const rate = income(state);
+  const short = {
+    minerals: Math.max(0, cost.minerals - state.minerals),
+    gas: Math.max(0, cost.gas - state.gas),
+  };
+  const wait = resource => (short[resource] === 0 ? 0 : rate[resource] > 0 ? short[resource] / rate[resource] : Infinity);
+  return { short, wait: Math.max(wait("minerals"), wait("gas")) };
+}
+
+function describeShort(short) {
+  return [short.minerals > 0 && `${Math.ceil(short.minerals)} minerals`, short.gas > 0 && `${Math.ceil(short.gas)} gas`]
+    .filter(Boolean)
+    .join(" and ");
+}
+
+function buy(state, entry, count, time, race) {
+  const done = time + entry.time;
+  if (entry.name === "MULE") {
+    for (let i = 0; i < count; i++) state.mules.push(time + MULE_LIFETIME);
+    return;
+  }
+  if (WORKERS.has(entry.name)) {
+    state.planned.workers += count;
+    at(state, done, s => (s.workers += count));
+  }
+  // Zerg structures use up the drone that builds them
+  if (race === "Zerg" && entry.kind === "structure" && !entry.producer) {
+    state.workers = Math.max(0, state.workers - count);
+    state.planned.workers -= count;
+    state.supplyUsed -= count;
+  }
+  if (TOWN_HALLS.has(entry.name)) {
+    state.planned.bases += count;
+    at(state, done, s => (s.bases += count));
+  }
+  if (GAS_BUILDINGS.has(entry.name)) {
+    state.planned.geysers += count;
+    at(state, done, s => (s.geysers += count));
+  }
+  if (SUPPLY_PROVIDED[entry.name]) {
+    at(state, done, s => (s.supplyCap = Math.min(MAX_SUPPLY, s.supplyCap + SUPPLY_PROVIDED[entry.name] * count)));
+  }
+}
+
+// steps: build steps (any order). Returns, per step index:
+// { minerals, gas, supplyUsed, supplyCap, status, message }
+// status: "ok" | "tight" (affordable within a few seconds) | "unaffordable" | "supply-blocked"
+export function simulateEconomy(steps, race) {
+  const state = createState(race);
+  const results = new Array(steps.length);
+  const order = steps
+    .map((step, index) => ({ step, index, time: parseTimeSafe(step.time) }))
+    .sort((a, b) => a.time - b.time);
+
+  for (const { step, index, time } of order) {
+    // Supply the listed units don't explain was trained since the last step
+    const listed = Number(step.supply);
+    const unlisted = Math.floor(listed - state.supplyUsed);
+    if (unlisted > 0) fillSupply(state, unlisted, time);
+    advance(state, time);
+    // The step's own count is authoritative; the running tally overshoots it
+    // once units die or listed units aren't all made
+    if (Number.isFinite(listed)) state.supplyUsed = listed;
+    if (state.supplyUsed > state.supplyCap + UNLISTED_SUPPLY) state.supplyListed = false;
+
+    const items = splitActionItems(step.action)
+      .map(item => ({ entry: resolveAction(item.name, race), count: item.count }))
+      .filter(item => item.entry);
+    const cost = { minerals: 0, gas: 0 };
+    let supply = 0;
+    for (const { entry, count } of items) {
+      cost.minerals += entry.cost.minerals * count;
+      cost.gas += entry.cost.gas * count;
+      supply += entry.cost.supply * count;
+    }
+
+    const { short, wait } = waitFor(state, cost);
+    const result = {
+      minerals: Math.floor(state.minerals),
+      gas: Math.floor(state.gas),
+      supplyUsed: state.supplyUsed,
+      supplyCap: state.supplyCap,
+      status: "ok",
+      message: null,
+    };
+    if (wait > TIGHT_SLACK) {
+      result.status = "unaffordable";
+      result.message = wait === Infinity
+        ? `Needs ${cost.gas} gas but no gas is being mined yet`
+        : `About ${Math.ceil(wait)}s short: missing ${describeShort(short)}`;
+    } else if (state.supplyListed && supply > 0 && state.supplyUsed + supply > state.supplyCap) {
+      result.status = "supply-blocked";
+      result.message = `Needs ${state.supplyUsed + supply} supply but only ${state.supplyCap} is available`;
+    } else if (wait > 0) {
+      result.status = "tight";
+      result.message = `About ${Math.ceil(wait)}s of mining short: missing ${describeShort(short)}`;
+    }
+    results[index] = result;
+
+    spend(state, cost);
+    state.supplyUsed += supply;
+    for (const { entry, count } of items) buy(state, entry, count, time, race);
+  }
+
+  return results;
+}
@@ -0,0 +1,46 @@
+import fs from "node:fs";
+import path from "node:path";
+import { describe, expect, it } from "vitest";
+import { simulateEconomy } from "./economy";
+import { analyzeBuild } from "./actionCatalog";
+
+const BUILDS = path.join(import.meta.dirname, "../public/build-orders");
+
+function loadBundled(id) {
+  return analyzeBuild(JSON.parse(fs.readFileSync(path.join(BUILDS, `${id}.json`), "utf8"))).build;
+}
+
+describe("simulateEconomy", () => {
+  it("reports a step that needs more supply than is available", () => {
+    const [result] = simulateEconomy([{ time: "1:00", supply: 15, action: "Marine" }], "Terran");
+    expect(result.status).toBe("supply-blocked");
+    expect(result.message).toBe("Needs 16 supply but only 15 is available");
+  });
+
+  it("reports gas spending before any gas is mined", () => {
+    const [result] = simulateEconomy([{ time: "1:00", supply: 14, action: "Factory" }], "Terran");
+    expect(result.status).toBe("unaffordable");
+  });
+
+  it("follows the supply each step lists", () => {
+    const results = simulateEconomy([
+      { time: "0:18", supply: 14, action: "Supply Depot" },
+      { time: "5:00", supply: 40, action: "Marine x20" },
+      // Units were lost: the build lists less supply than the tally
+      { time: "6:00", supply: 30, action: "Marine" },
+    ], "Terran");
+    expect(results[2].supplyUsed).toBe(30);
+  });
+
+  it("finds no supply blocks in the bundled builds", () => {
+    const ids = JSON.parse(fs.readFileSync(path.join(BUILDS, "index.json"), "utf8")).map(e => e.id);
+    for (const id of ids) {
+      const build = loadBundled(id);
+      const blocked = simulateEconomy(build.steps, build.race)
+        .map((result, i) => ({ ...result, step: build.steps[i] }))
+        .filter(result => result.status === "supply-blocked")
+        .map(result => `${id} ${result.step.time} ${result.step.action}: ${result.message}`);
+      expect(blocked).toEqual([]);
+    }
+  });
+});
@@ -0,0 +1,108 @@
+// build-advisor/src/keymap.js
+// Configurable keyboard shortcuts. A keymap maps each action to a list of
+// key names, so a keyboard key and a presentation clicker (which sends
+// arrow / Page keys) can both trigger the same action.
+
+import { useEffect, useRef } from "react";
+
+const STORAGE_KEY = "build-advisor:keymap";
+
+export const SHORTCUT_ACTIONS = [
+  { id: "toggle", label: "Start / pause" },
+  { id: "reset", label: "Reset" },
+  { id: "mute", label: "Mute / unmute" },
+  { id: "nudgeBack", label: "Clock −1s" },
+  { id: "nudgeForward", label: "Clock +1s" },
+  { id: "nextStep", label: "Skip to next step" },
+  { id: "prevStep", label: "Back to previous step" },
+  { id: "markDone", label: "Mark step done" },
+  { id: "supplyUp", label: "Supply +1 (supply mode)" },
+  { id: "supplyDown", label: "Supply −1 (supply mode)" },
+  { id: "help", label: "Show shortcuts" },
+];
+
+export const DEFAULT_KEYMAP = {
+  toggle: ["Space", "MediaPlayPause"],
+  reset: ["r", "MediaStop"],
+  mute: ["m"],
+  nudgeBack: ["["],
+  nudgeForward: ["]"],
+  nextStep: ["ArrowRight", "PageDown", "MediaTrackNext"],
+  prevStep: ["ArrowLeft", "PageUp", "MediaTrackPrevious"],
+  markDone: ["d"],
+  supplyUp: ["+", "=", "ArrowUp"],
+  supplyDown: ["-", "ArrowDown"],
+  help: ["?"],
+};
+
+// Stable, readable name for a keydown event ("Space", "d", "ArrowRight")
+export function keyName(e) {
+  if (e.key === " ") return "Space";
+  return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+}
+
+export function loadKeymap() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved ? { ...DEFAULT_KEYMAP, ...saved } : DEFAULT_KEYMAP;
+  } catch {
+    return DEFAULT_KEYMAP;
+  }
+}
+
+export function saveKeymap(keymap) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(keymap));
+}
+
+// Calls handlers[action] for keys bound in `keymap`. Typing in form fields
+// and modified keys (Ctrl/Alt/Meta) are left alone. A handler returns false
+// when its action doesn't apply right now, leaving the key its default
+// (e.g. arrows still scroll). Pass enabled=false to pause shortcuts, e.g.
+// while a key is being rebound.
+export function useShortcuts(keymap, handlers, enabled = true) {
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+    const actionByKey = new Map();
+    for (const [action, keys] of Object.entries(keymap)) {
+      for (const key of keys) actionByKey.set(key, action);
+    }
+
+    function onKeyDown(e) {
+      if (e.ctrlKey || e.altKey || e.metaKey) return;
+      if (e.target.closest?.("input, select, textarea, [contenteditable]")) return;
+      const action = actionByKey.get(keyName(e));
+      const handler = action && handlersRef.current[action];
+      if (handler && handler() !== false) e.preventDefault();
+    }
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [keymap, enabled]);
+
+  // Hardware media keys often bypass keydown; route them through the
+  // Media Session API where the browser supports it
+  useEffect(() => {
+    if (!enabled || !("mediaSession" in navigator)) return;
+    const call = action => () => handlersRef.current[action]?.();
+    const bindings = {
+      play: call("toggle"),
+      pause: call("toggle"),
+      stop: call("reset"),
+      nexttrack: call("nextStep"),
+      previoustrack: call("prevStep"),
+    };
+    for (const [name, fn] of Object.entries(bindings)) {
+      try { navigator.mediaSession.setActionHandler(name, fn); } catch { /* unsupported action */ }
+    }
+    return () => {
+      for (const name of Object.keys(bindings)) {
+        try { navigator.mediaSession.setActionHandler(name, null); } catch { /* unsupported action */ }
+      }
+    };
+  }, [enabled]);
+}
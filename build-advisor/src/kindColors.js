@@ -0,0 +1,12 @@
+// build-advisor/src/kindColors.js
+// Tailwind colours per action-catalog kind, shared by the action tags and
+// the Gantt timeline so a kind has one colour everywhere.
+
+export const KIND_COLORS = {
+  structure: "bg-blue-700 border-blue-400",
+  addon: "bg-sky-700 border-sky-400",
+  unit: "bg-green-700 border-green-400",
+  upgrade: "bg-purple-700 border-purple-400",
+  ability: "bg-amber-700 border-amber-400",
+  unknown: "bg-neutral-700 border-neutral-500",
+};
@@ -0,0 +1,164 @@
+// build-advisor/src/mpq.js
+// Read-only MPQ archive reader, enough for SC2 replays: finds files through
+// the encrypted hash / block tables and inflates bzip2 or zlib sectors.
+// Follows the layout used by mpyq.
+
+import { bunzip2 } from "./bzip2";
+
+const FILE_EXISTS = 0x80000000;
+const FILE_SINGLE_UNIT = 0x01000000;
+const FILE_SECTOR_CRC = 0x04000000;
+const FILE_ENCRYPTED = 0x00010000;
+const FILE_COMPRESS = 0x00000200;
+
+const HASH_A = 1;
+const HASH_B = 2;
+const HASH_FILE_KEY = 3;
+
+const CRYPT_TABLE = (() => {
+  const table = new Uint32Array(0x500);
+  let seed = 0x00100001;
+  for (let i = 0; i < 0x100; i++) {
+    for (let j = 0, index = i; j < 5; j++, index += 0x100) {
+      seed = (seed * 125 + 3) % 0x2aaaab;
+      const high = (seed & 0xffff) << 16;
+      seed = (seed * 125 + 3) % 0x2aaaab;
+      table[index] = (high | (seed & 0xffff)) >>> 0;
+    }
+  }
+  return table;
+})();
+
+function hashString(text, type) {
+  let seed1 = 0x7fed7fed;
+  let seed2 = 0xeeeeeeee;
+  for (const ch of text.toUpperCase()) {
+    const c = ch.charCodeAt(0);
+    seed1 = (CRYPT_TABLE[(type << 8) + c] ^ (seed1 + seed2)) >>> 0;
+    seed2 = (c + seed1 + seed2 + seed2 * 32 + 3) >>> 0;
+  }
+  return seed1;
+}
+
+function decrypt(bytes, key) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const out = new DataView(new ArrayBuffer(bytes.byteLength));
+  let seed1 = key;
+  let seed2 = 0xeeeeeeee;
+  for (let i = 0; i + 4 <= bytes.byteLength; i += 4) {
+    seed2 = (seed2 + CRYPT_TABLE[0x400 + (seed1 & 0xff)]) >>> 0;
+    const value = (view.getUint32(i, true) ^ (seed1 + seed2)) >>> 0;
+    seed1 = (((~seed1 << 0x15) + 0x11111111) | (seed1 >>> 0x0b)) >>> 0;
+    seed2 = (value + seed2 + seed2 * 32 + 3) >>> 0;
+    out.setUint32(i, value, true);
+  }
+  return out;
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// First byte names the compression; SC2 replays use bzip2 or zlib
+async function decompress(bytes, size) {
+  const data = bytes.subarray(1);
+  switch (bytes[0]) {
+    case 0x10: return bunzip2(data, size);
+    case 0x02: return inflate(data);
+    default: throw new Error(`Unsupported MPQ compression 0x${bytes[0].toString(16)}`);
+  }
+}
+
+// bytes: Uint8Array of the whole archive.
+// Returns { userData, has(name), readFile(name) → Promise<Uint8Array> }.
+export function openMpq(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const magic = String.fromCharCode(...bytes.subarray(0, 4));
+
+  // Replays start with a user data block (the replay header), then the archive
+  let offset = 0;
+  let userData = null;
+  if (magic === "MPQ\x1b") {
+    const userDataHeaderSize = view.getUint32(12, true);
+    offset = view.getUint32(8, true);
+    userData = bytes.subarray(16, 16 + userDataHeaderSize);
+  } else if (magic !== "MPQ\x1a") {
+    throw new Error("Not an MPQ archive");
+  }
+  if (String.fromCharCode(...bytes.subarray(offset, offset + 4)) !== "MPQ\x1a") {
+    throw new Error("MPQ header not found");
+  }
+
+  const sectorSize = 512 << view.getUint16(offset + 14, true);
+  const hashTableOffset = view.getUint32(offset + 16, true);
+  const blockTableOffset = view.getUint32(offset + 20, true);
+  const hashTableEntries = view.getUint32(offset + 24, true);
+  const blockTableEntries = view.getUint32(offset + 28, true);
+
+  const table = (start, entries, name) => decrypt(
+    bytes.subarray(offset + start, offset + start + entries * 16),
+    hashString(name, HASH_FILE_KEY)
+  );
+  const hashTable = table(hashTableOffset, hashTableEntries, "(hash table)");
+  const blockTable = table(blockTableOffset, blockTableEntries, "(block table)");
+
+  function findBlock(name) {
+    const a = hashString(name, HASH_A);
+    const b = hashString(name, HASH_B);
+    for (let i = 0; i < hashTableEntries; i++) {
+      const entry = i * 16;
+      if (hashTable.getUint32(entry, true) === a && hashTable.getUint32(entry + 4, true) === b) {
+        const blockIndex = hashTable.getUint32(entry + 12, true);
+        if (blockIndex >= blockTableEntries) return null;
+        const block = blockIndex * 16;
+        return {
+          offset: blockTable.getUint32(block, true),
+          archivedSize: blockTable.getUint32(block + 4, true),
+          size: blockTable.getUint32(block + 8, true),
+          flags: blockTable.getUint32(block + 12, true),
+        };
+      }
+    }
+    return null;
+  }
+
+  async function readFile(name) {
+    const block = findBlock(name);
+    if (!block || !(block.flags & FILE_EXISTS)) throw new Error(`${name} is missing from the replay`);
+    if (block.flags & FILE_ENCRYPTED) throw new Error(`${name} is encrypted`);
+    if (block.size === 0) return new Uint8Array(0);
+    const data = bytes.subarray(offset + block.offset, offset + block.offset + block.archivedSize);
+
+    if (block.flags & FILE_SINGLE_UNIT) {
+      return block.flags & FILE_COMPRESS && block.size > block.archivedSize
+        ? decompress(data, block.size)
+        : data;
+    }
+
+    // Sectored file: a table of sector offsets, each sector compressed separately
+    const dataView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const sectors = Math.floor(block.size / sectorSize) + 1 + (block.flags & FILE_SECTOR_CRC ? 1 : 0);
+    const positions = Array.from({ length: sectors + 1 }, (_, i) => dataView.getUint32(i * 4, true));
+    const parts = [];
+    let left = block.size;
+    const count = positions.length - (block.flags & FILE_SECTOR_CRC ? 2 : 1);
+    for (let i = 0; i < count; i++) {
+      let sector = data.subarray(positions[i], positions[i + 1]);
+      if (block.flags & FILE_COMPRESS && left > sector.length) {
+        sector = await decompress(sector, Math.min(sectorSize, left));
+      }
+      left -= sector.length;
+      parts.push(sector);
+    }
+    const result = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    parts.reduce((at, p) => (result.set(p, at), at + p.length), 0);
+    return result;
+  }
+
+  return {
+    userData,
+    has: name => Boolean(findBlock(name)),
+    readFile,
+  };
+}
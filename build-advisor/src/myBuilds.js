@@ -0,0 +1,75 @@
+// build-advisor/src/myBuilds.js
+// "My Builds": the player's personal collection, kept in IndexedDB.
+// Each record wraps a build: { id, build, savedAt, updatedAt }.
+
+import { addRecord, deleteRecord, getAllRecords, getRecord, putRecord } from "./db";
+import { BuildValidationError, downloadFile, validateBuild } from "./buildUtils";
+
+const STORE = "builds";
+const EXPORT_FORMAT = "build-advisor-collection";
+
+export async function listMyBuilds() {
+  const records = await getAllRecords(STORE);
+  return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function saveMyBuild(build) {
+  const now = new Date().toISOString();
+  return addRecord(STORE, { build, savedAt: now, updatedAt: now });
+}
+
+async function updateMyBuild(id, update) {
+  const record = await getRecord(STORE, id);
+  if (!record) throw new Error("Build not found in My Builds.");
+  const next = { ...record, build: update(record.build), updatedAt: new Date().toISOString() };
+  await putRecord(STORE, next);
+  return next;
+}
+
+// Overwrite the stored copy, e.g. after editing the loaded build
+export function replaceMyBuild(id, build) {
+  return updateMyBuild(id, () => build);
+}
+
+export function renameMyBuild(id, name) {
+  return updateMyBuild(id, build => ({ ...build, name }));
+}
+
+export async function duplicateMyBuild(id) {
+  const record = await getRecord(STORE, id);
+  if (!record) throw new Error("Build not found in My Builds.");
+  return saveMyBuild({ ...record.build, name: `${record.build.name} (copy)` });
+}
+
+export function deleteMyBuild(id) {
+  return deleteRecord(STORE, id);
+}
+
+// The whole collection as one downloadable JSON file
+export async function exportMyBuilds() {
+  const records = await listMyBuilds();
+  const payload = {
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    builds: records.map(r => r.build),
+  };
+  downloadFile(JSON.stringify(payload, null, 2), "my-builds.json", "application/json");
+}
+
+// Adds every build in an exported collection (or a single build file).
+// Nothing is imported if any build is invalid.
+export async function importMyBuilds(json) {
+  const isCollection = json?.format === EXPORT_FORMAT;
+  const builds = isCollection ? json.builds : [json];
+  if (!Array.isArray(builds)) throw new Error("Not a My Builds export.");
+
+  const errors = builds.flatMap((build, i) =>
+    validateBuild(build).map(e => (
+      isCollection ? { ...e, path: `builds[${i}]${e.path ? `.${e.path}` : ""}` } : e
+    ))
+  );
+  if (errors.length) throw new BuildValidationError(errors);
+
+  for (const build of builds) await saveMyBuild(build);
+  return builds.length;
+}
@@ -0,0 +1,44 @@
+// build-advisor/src/offlineBuilds.js
+// Builds loaded from a URL can be kept in Cache Storage so they still load
+// when the network is gone. Bundled build-orders are precached by the
+// service worker; this covers everything else.
+
+const CACHE_NAME = "build-advisor-remote-builds";
+
+function cacheAvailable() {
+  return typeof caches !== "undefined";
+}
+
+export async function saveOfflineBuild(url, build) {
+  if (!cacheAvailable()) throw new Error("Offline storage is not supported in this browser.");
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(url, new Response(JSON.stringify(build), {
+    headers: { "Content-Type": "application/json" },
+  }));
+}
+
+// Returns the saved build JSON, or null if this URL was never saved
+export async function getOfflineBuild(url) {
+  if (!cacheAvailable()) return null;
+  const cache = await caches.open(CACHE_NAME);
+  const res = await cache.match(url);
+  return res ? res.json() : null;
+}
+
+export async function removeOfflineBuild(url) {
+  if (!cacheAvailable()) return;
+  const cache = await caches.open(CACHE_NAME);
+  await cache.delete(url);
+}
+
+// [{ url, name }] for every saved build
+export async function listOfflineBuilds() {
+  if (!cacheAvailable()) return [];
+  const cache = await caches.open(CACHE_NAME);
+  const requests = await cache.keys();
+  return Promise.all(requests.map(async req => {
+    const res = await cache.match(req);
+    const build = await res.json().catch(() => ({}));
+    return { url: req.url, name: build.name || req.url };
+  }));
+}
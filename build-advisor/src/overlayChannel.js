@@ -0,0 +1,82 @@
+// build-advisor/src/overlayChannel.js
+// Channel shared by every window of the app: Build Advisor tabs keep their
+// clocks and loaded build in step, and /overlay and /popout windows follow.
+// BroadcastChannel only reaches pages of the same browser profile. An OBS
+// browser source is a separate process, so /overlay also polls the relay on
+// the app's own dev / preview server (overlayRelayPlugin.js); on static
+// hosting there is no relay and the overlay must be opened in the same
+// browser (e.g. captured as a window).
+//
+// Messages:
+//   { type: "hello" }            overlay / pop-out asks for the current state
+//   { type: "clock", anchor }    clock anchor from useGameClock; every window adopts it
+//   { type: "build", build, branchChoices }
+//                                build to display (branches already resolved) and the
+//                                choices behind it, for an overlay showing its own copy
+//   { type: "advisor", state }   Advisor tabs only: { build, branchChoices, selectedBuild, remoteUrl, myBuildId }
+
+const CHANNEL_NAME = "build-advisor:overlay";
+
+export function openOverlayChannel(onMessage) {
+  if (typeof BroadcastChannel === "undefined") {
+    return { post: () => {}, close: () => {} };
+  }
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = e => onMessage(e.data);
+  return {
+    post: message => channel.postMessage(message),
+    close: () => channel.close(),
+  };
+}
+
+// Whether two useGameClock anchors describe the same clock, so a window
+// doesn't re-send an anchor it just adopted from another one
+export function sameAnchor(a, b) {
+  return Boolean(a && b) && a.base === b.base && a.startedAt === b.startedAt && (a.speed ?? 1) === (b.speed ?? 1);
+}
+
+const RELAY_URL = `${import.meta.env.BASE_URL}__overlay`;
+const RELAY_POLL_MS = 1000;
+
+// Sends { anchor, build, branchChoices } to the relay; resolves to false if there is none
+export async function postToRelay(update) {
+  try {
+    const res = await fetch(RELAY_URL, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(update),
+    });
+    return res.ok;
+  } catch {
+    return false;
+  }
+}
+
+// Calls onState({ anchor, build, branchChoices }) whenever the relay's state changes. Gives
+// up if there is no relay; returns a function that stops polling.
+export function pollRelay(onState) {
+  let version = 0;
+  let timer = null;
+  let stopped = false;
+
+  const poll = async () => {
+    try {
+      const res = await fetch(RELAY_URL, { cache: "no-store" });
+      if (!res.ok || !res.headers.get("Content-Type")?.includes("application/json")) return;
+      const state = await res.json();
+      if (state.version !== version) {
+        version = state.version;
+        onState(state);
+      }
+    } catch {
+      // Server restarting; try again
+    }
+    if (!stopped) timer = setTimeout(poll, RELAY_POLL_MS);
+  };
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
@@ -0,0 +1,269 @@
+// build-advisor/src/pages/BuildCompare.jsx
+// Side-by-side comparison of two builds on a shared time axis, with
+// added / removed / shifted steps highlighted. Builds with decision points
+// are compared along the branches picked for each side.
+
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { formatTime, formatValidationError, resolveBranches, validateBuild } from "../buildUtils";
+import { fetchBuildIndex, fetchLocalBuild } from "../bundledBuilds";
+import { diffBuilds } from "../buildDiff";
+
+const ROW_STYLES = {
+  same: "border-neutral-800 bg-neutral-900",
+  shifted: "border-yellow-700 bg-yellow-900/30",
+  added: "border-green-700 bg-green-900/30",
+  removed: "border-red-700 bg-red-900/30",
+};
+
+const LANE_COLORS = { same: "#737373", shifted: "#eab308", added: "#22c55e", removed: "#ef4444" };
+
+// One side of the comparison: pick from index.json or load a file, then a
+// branch at each of its decision points
+function BuildPicker({ label, index, build, choices, onLoad, onChoose }) {
+  const [selected, setSelected] = useState("");
+  const [errors, setErrors] = useState([]);
+  const decisions = useMemo(
+    () => (build ? resolveBranches(build.steps, choices).filter(s => s.decision) : []),
+    [build, choices]
+  );
+
+  async function load(getJson) {
+    try {
+      setErrors([]);
+      const json = await getJson();
+      const problems = validateBuild(json);
+      if (problems.length) {
+        setErrors(problems.map(formatValidationError));
+        return;
+      }
+      onLoad(json);
+    } catch (err) {
+      setErrors([err.message || "Unable to load build."]);
+    }
+  }
+
+  return (
+    <div className="rounded-2xl border border-neutral-800 bg-neutral-900/60 p-4">
+      <h2 className="mb-2 font-semibold">{label}: <span className="opacity-70">{build?.name ?? "none"}</span></h2>
+      <select
+        value={selected}
+        onChange={e => {
+          setSelected(e.target.value);
+          if (e.target.value) load(() => fetchLocalBuild(e.target.value));
+        }}
+        className="mb-2 w-full px-3 py-2 rounded-xl bg-neutral-900 border border-neutral-700"
+      >
+        <option value="">-- Choose a build --</option>
+        {index.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+      </select>
+      <input
+        type="file"
+        accept="application/json"
+        onChange={e => {
+          const file = e.target.files?.[0];
+          if (file) {
+            setSelected("");
+            load(async () => JSON.parse(await file.text()));
+          }
+        }}
+        className="block w-full text-sm text-neutral-300 file:mr-4 file:rounded-xl file:border-0 file:bg-neutral-800 file:px-4 file:py-2 file:text-neutral-200 hover:file:bg-neutral-700"
+      />
+      {errors.length > 0 && (
+        <ul className="mt-2 list-disc pl-5 text-xs text-red-300 font-mono">
+          {errors.map((e, i) => <li key={i}>{e}</li>)}
+        </ul>
+      )}
+      {decisions.map(step => (
+        <label key={step.decision.path} className="mt-2 flex items-center gap-2 text-sm">
+          <span className="flex-1 opacity-70">⑂ {step.time} {step.action}</span>
+          <select
+            value={step.decision.chosen ?? ""}
+            onChange={e => onChoose(step.decision.path, e.target.value === "" ? null : Number(e.target.value))}
+            className="px-3 py-1 rounded-xl bg-neutral-900 border border-neutral-700"
+          >
+            <option value="">No branch</option>
+            {step.decision.branches.map((name, b) => <option key={b} value={b}>{name}</option>)}
+          </select>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+// Two lanes on a shared time axis; matched steps are joined by a line
+function TimelineChart({ rows }) {
+  const maxTime = Math.max(60, ...rows.flatMap(r => [r.left?.start ?? 0, r.right?.start ?? 0]));
+  const width = 900;
+  const pad = 20;
+  const x = t => pad + (t / maxTime) * (width - pad * 2);
+  const laneA = 30;
+  const laneB = 90;
+  const ticks = [];
+  for (let t = 0; t <= maxTime; t += 60) ticks.push(t);
+
+  return (
+    <svg viewBox={`0 0 ${width} 130`} className="w-full">
+      {ticks.map(t => (
+        <g key={t}>
+          <line x1={x(t)} x2={x(t)} y1={15} y2={105} stroke="#262626" />
+          <text x={x(t)} y={122} textAnchor="middle" className="fill-neutral-500 text-[10px]">{formatTime(t)}</text>
+        </g>
+      ))}
+      <text x={2} y={laneA + 4} className="fill-neutral-400 text-[10px]">A</text>
+      <text x={2} y={laneB + 4} className="fill-neutral-400 text-[10px]">B</text>
+      {rows.map((r, i) => (
+        <g key={i}>
+          <title>{(r.left ?? r.right).action}</title>
+          {r.left && r.right && (
+            <line x1={x(r.left.start)} y1={laneA} x2={x(r.right.start)} y2={laneB} stroke={LANE_COLORS[r.type]} strokeOpacity={0.6} />
+          )}
+          {r.left && <circle cx={x(r.left.start)} cy={laneA} r={4} fill={LANE_COLORS[r.type]} />}
+          {r.right && <circle cx={x(r.right.start)} cy={laneB} r={4} fill={LANE_COLORS[r.type]} />}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+function StepCell({ step }) {
+  if (!step) return <div className="opacity-30">—</div>;
+  return (
+    <div>
+      <span className="text-xs opacity-70 tabular-nums">{step.time} • {step.supply}</span>{" "}
+      <span className="font-medium">{step.action}</span>
+    </div>
+  );
+}
+
+function signed(n, unit) {
+  return `${n > 0 ? "+" : ""}${n}${unit}`;
+}
+
+export function BuildCompare() {
+  const [index, setIndex] = useState([]);
+  const [left, setLeft] = useState(null);
+  const [right, setRight] = useState(null);
+  const [choices, setChoices] = useState({ left: {}, right: {} }); // branch per decision path, per side
+  const [secondsThreshold, setSecondsThreshold] = useState(5);
+  const [supplyThreshold, setSupplyThreshold] = useState(1);
+  const [changesOnly, setChangesOnly] = useState(false);
+
+  useEffect(() => {
+    fetchBuildIndex().then(setIndex).catch(() => setIndex([]));
+  }, []);
+
+  const diff = useMemo(
+    () => (left && right
+      ? diffBuilds(left, right, { seconds: secondsThreshold, supply: supplyThreshold }, choices)
+      : null),
+    [left, right, secondsThreshold, supplyThreshold, choices]
+  );
+
+  // A newly loaded build starts with no branches picked
+  function load(side, build) {
+    (side === "left" ? setLeft : setRight)(build);
+    setChoices(c => ({ ...c, [side]: {} }));
+  }
+
+  function choose(side, path, branch) {
+    setChoices(c => ({ ...c, [side]: { ...c[side], [path]: branch } }));
+  }
+  const rows = diff ? diff.rows.filter(r => !changesOnly || r.type !== "same") : [];
+
+  return (
+    <div className="min-h-screen bg-neutral-950 text-neutral-100 p-6">
+      <header className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Compare Builds</h1>
+          <p className="opacity-70">See what changed between two build variants.</p>
+        </div>
+        <Link to="/" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          ← Back to Advisor
+        </Link>
+      </header>
+
+      <div className="mb-6 grid gap-4 md:grid-cols-2">
+        <BuildPicker
+          label="A"
+          index={index}
+          build={left}
+          choices={choices.left}
+          onLoad={b => load("left", b)}
+          onChoose={(path, branch) => choose("left", path, branch)}
+        />
+        <BuildPicker
+          label="B"
+          index={index}
+          build={right}
+          choices={choices.right}
+          onLoad={b => load("right", b)}
+          onChoose={(path, branch) => choose("right", path, branch)}
+        />
+      </div>
+
+      <div className="mb-6 flex flex-wrap gap-4 items-center text-sm">
+        <label className="flex items-center gap-2">
+          Shifted if moved more than
+          <input
+            type="number"
+            min={0}
+            value={secondsThreshold}
+            onChange={e => setSecondsThreshold(Math.max(0, Number(e.target.value) || 0))}
+            className="w-16 px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700"
+          />
+          s or
+          <input
+            type="number"
+            min={0}
+            value={supplyThreshold}
+            onChange={e => setSupplyThreshold(Math.max(0, Number(e.target.value) || 0))}
+            className="w-16 px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700"
+          />
+          supply
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={changesOnly} onChange={e => setChangesOnly(e.target.checked)} />
+          Changes only
+        </label>
+      </div>
+
+      {diff ? (
+        <>
+          <div className="mb-4 flex flex-wrap gap-2 text-xs">
+            {Object.entries(diff.counts).map(([type, n]) => (
+              <span key={type} className={`px-2 py-1 rounded-full border ${ROW_STYLES[type]}`}>{n} {type}</span>
+            ))}
+          </div>
+
+          <div className="mb-6 rounded-2xl border border-neutral-800 bg-neutral-900/60 p-2">
+            <TimelineChart rows={diff.rows} />
+          </div>
+
+          <div className="grid gap-1 text-sm">
+            <div className="grid grid-cols-[1fr_1fr_110px] gap-2 px-3 text-xs uppercase opacity-60">
+              <span>A: {left.name}</span><span>B: {right.name}</span><span className="text-right">Change</span>
+            </div>
+            {rows.map((r, i) => (
+              <div key={i} className={`grid grid-cols-[1fr_1fr_110px] gap-2 rounded-xl border px-3 py-2 ${ROW_STYLES[r.type]}`}>
+                <StepCell step={r.left} />
+                <StepCell step={r.right} />
+                <span className="text-right text-xs">
+                  {r.type === "added" && "added"}
+                  {r.type === "removed" && "removed"}
+                  {(r.type === "shifted" || r.type === "same") && (
+                    <span className={r.type === "same" ? "opacity-50" : ""}>
+                      {signed(r.dt, "s")} • {signed(r.ds, " sup")}
+                    </span>
+                  )}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      ) : (
+        <p className="opacity-60">Choose two builds to compare.</p>
+      )}
+    </div>
+  );
+}
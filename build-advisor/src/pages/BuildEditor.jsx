@@ -0,0 +1,319 @@
+// build-advisor/src/pages/BuildEditor.jsx
+// In-app build order editor: create or edit a build, validate each step as
+// it is typed, preview the waterfall and export a loadable .json file.
+
+import React, { useMemo, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import {
+  RACES,
+  downloadBuild,
+  enrichSteps,
+  formatTime,
+  formatValidationError,
+  parseTimeSafe,
+  validateBuild,
+} from "../buildUtils";
+
+const EMPTY_BUILD = {
+  name: "New Build",
+  race: "Terran",
+  steps: [{ supply: 12, time: "0:00", action: "" }],
+};
+
+// Row ids only need to be unique within the page
+let lastRowId = 0;
+const nextRowId = () => ++lastRowId;
+
+// Editor rows keep supply as text so partially typed values survive
+function toRows(steps) {
+  return steps.map(step => ({
+    ...step,
+    id: nextRowId(),
+    supply: String(step.supply ?? ""),
+    time: step.time ?? "",
+    action: step.action ?? "",
+  }));
+}
+
+// Supply that isn't a whole number is left as text so validateBuild reports it
+function fromRows(rows) {
+  return rows.map(row => {
+    const { id: _id, ...step } = row;
+    return {
+      ...step,
+      supply: /^\s*\d+\s*$/.test(step.supply) ? Number(step.supply) : step.supply,
+      time: step.time.trim(),
+      action: step.action.trim(),
+    };
+  });
+}
+
+export function BuildEditor() {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Keys the editor has no fields for (alerts, reminders, …) are carried through untouched
+  const [initial, setInitial] = useState(() => location.state?.build || EMPTY_BUILD);
+  // My Builds entry being edited, handed back so the Advisor updates it rather than saving a copy
+  const [myBuildId, setMyBuildId] = useState(location.state?.myBuildId ?? null);
+  const [name, setName] = useState(initial.name ?? "");
+  const [race, setRace] = useState(initial.race ?? "Unknown");
+  const [rows, setRows] = useState(() => toRows(initial.steps || []));
+  const [previewSeconds, setPreviewSeconds] = useState(0);
+
+  const build = useMemo(
+    () => ({ ...initial, name: name.trim(), race, steps: fromRows(rows) }),
+    [initial, name, race, rows]
+  );
+
+  const errors = useMemo(() => validateBuild(build), [build]);
+  const errorCount = errors.length + (name.trim() ? 0 : 1);
+
+  // Step errors grouped by row index, then by field; the rest (alerts,
+  // reminders, …) are listed above the form, as the editor has no fields for them
+  const { rowErrors, otherErrors } = useMemo(() => {
+    const byRow = rows.map(() => ({}));
+    const other = [];
+    for (const err of errors) {
+      const match = /^steps\[(\d+)\]\.?(\w*)/.exec(err.path);
+      if (!match) {
+        other.push(err);
+        continue;
+      }
+      // Branch problems keep their sub-path so it's clear which branch step is wrong
+      const message = match[2] === "branches"
+        ? formatValidationError({ ...err, path: err.path.replace(/^steps\[\d+\]\./, "") })
+        : err.message;
+      const field = match[2] || "step";
+      const fieldErrors = byRow[Number(match[1])];
+      fieldErrors[field] = fieldErrors[field] ? `${fieldErrors[field]}; ${message}` : message;
+    }
+    return { rowErrors: byRow, otherErrors: other };
+  }, [errors, rows]);
+
+  const previewSteps = useMemo(() => {
+    const enriched = enrichSteps(build.steps);
+    const done = enriched.filter(s => previewSeconds >= s.end);
+    const remaining = enriched.filter(s => previewSeconds < s.end);
+    return [...done.slice(-2), ...remaining];
+  }, [build, previewSeconds]);
+
+  const previewLength = useMemo(() => {
+    const last = build.steps.reduce((max, s) => Math.max(max, parseTimeSafe(s.time)), 0);
+    return last + 30;
+  }, [build]);
+
+  function updateRow(id, field, value) {
+    setRows(rs => rs.map(r => (r.id === id ? { ...r, [field]: value } : r)));
+  }
+
+  function insertRow(index) {
+    setRows(rs => {
+      const prev = rs[index - 1];
+      const row = {
+        id: nextRowId(),
+        supply: prev ? prev.supply : "12",
+        time: prev ? prev.time : "0:00",
+        action: "",
+      };
+      return [...rs.slice(0, index), row, ...rs.slice(index)];
+    });
+  }
+
+  function deleteRow(id) {
+    setRows(rs => rs.filter(r => r.id !== id));
+  }
+
+  function moveRow(index, delta) {
+    setRows(rs => {
+      const target = index + delta;
+      if (target < 0 || target >= rs.length) return rs;
+      const next = [...rs];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }
+
+  function newBuild() {
+    if (!window.confirm("Discard the current build and start from scratch?")) return;
+    setInitial(EMPTY_BUILD);
+    setMyBuildId(null);
+    setName(EMPTY_BUILD.name);
+    setRace(EMPTY_BUILD.race);
+    setRows(toRows(EMPTY_BUILD.steps));
+    setPreviewSeconds(0);
+  }
+
+  const inputClass = "w-full px-2 py-1 rounded-lg bg-neutral-900 border focus:outline-none focus:ring";
+  const fieldBorder = err => (err ? "border-red-500" : "border-neutral-700");
+
+  return (
+    <div className="min-h-screen bg-neutral-950 text-neutral-100 p-6">
+      <header className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Build Editor</h1>
+          <p className="opacity-70">Create a build order and export it as JSON.</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Link to="/tutorial" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+            Build JSON Tutorial
+          </Link>
+          <button onClick={() => navigate("/")} className="px-4 py-2 rounded-xl bg-neutral-800">
+            ← Back to Advisor
+          </button>
+        </div>
+      </header>
+
+      <div className="flex flex-wrap gap-2 mb-6">
+        <button onClick={newBuild} className="px-4 py-2 rounded-xl bg-neutral-700">New Build</button>
+        <button
+          disabled={errorCount > 0}
+          onClick={() => downloadBuild(build)}
+          className="px-4 py-2 rounded-xl bg-green-600 disabled:opacity-50"
+        >
+          Export JSON
+        </button>
+        <button
+          disabled={errorCount > 0}
+          onClick={() => navigate("/", { state: { build, myBuildId } })}
+          className="px-4 py-2 rounded-xl bg-blue-600 disabled:opacity-50"
+        >
+          Open in Advisor
+        </button>
+        <span className={`self-center text-sm ${errorCount ? "text-red-300" : "text-green-300"}`}>
+          {errorCount ? `${errorCount} problem${errorCount > 1 ? "s" : ""} to fix` : "Build is valid"}
+        </span>
+      </div>
+
+      {otherErrors.length > 0 && (
+        <ul className="mb-6 list-disc list-inside rounded-xl border border-red-800 bg-red-950/40 p-3 text-sm text-red-300">
+          {otherErrors.map(err => (
+            <li key={`${err.path}:${err.message}`}>{formatValidationError(err)}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-1 gap-8 lg:grid-cols-[1fr_360px]">
+        <section>
+          <div className="grid gap-3 mb-6 sm:grid-cols-[1fr_180px]">
+            <div>
+              <label className="block text-sm opacity-80 mb-1">Name</label>
+              <input
+                value={name}
+                onChange={e => setName(e.target.value)}
+                className={`${inputClass} ${fieldBorder(!name.trim())}`}
+              />
+              {!name.trim() && <p className="text-xs text-red-300 mt-1">name is required</p>}
+            </div>
+            <div>
+              <label className="block text-sm opacity-80 mb-1">Race</label>
+              <select
+                value={race}
+                onChange={e => setRace(e.target.value)}
+                className={`${inputClass} border-neutral-700`}
+              >
+                {!RACES.includes(race) && <option value={race}>{race}</option>}
+                {RACES.map(r => <option key={r} value={r}>{r}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid gap-2">
+            <div className="hidden sm:grid grid-cols-[32px_80px_90px_1fr_auto] gap-2 text-xs uppercase opacity-60 px-1">
+              <span>#</span><span>Supply</span><span>Time</span><span>Action</span><span />
+            </div>
+
+            {rows.map((row, i) => {
+              const errors = rowErrors[i];
+              const messages = Object.entries(errors);
+              return (
+                <div key={row.id} className="rounded-xl border border-neutral-800 bg-neutral-900/60 p-2">
+                  <div className="grid grid-cols-[32px_80px_90px_1fr] sm:grid-cols-[32px_80px_90px_1fr_auto] gap-2 items-center">
+                    <span className="text-sm opacity-60">{i + 1}</span>
+                    <input
+                      inputMode="numeric"
+                      value={row.supply}
+                      onChange={e => updateRow(row.id, "supply", e.target.value)}
+                      className={`${inputClass} ${fieldBorder(errors.supply)}`}
+                    />
+                    <input
+                      placeholder="m:ss"
+                      value={row.time}
+                      onChange={e => updateRow(row.id, "time", e.target.value)}
+                      className={`${inputClass} ${fieldBorder(errors.time)}`}
+                    />
+                    <input
+                      placeholder="Action"
+                      value={row.action}
+                      onChange={e => updateRow(row.id, "action", e.target.value)}
+                      className={`${inputClass} ${fieldBorder(errors.action)}`}
+                    />
+                    <div className="col-span-4 sm:col-span-1 flex gap-1 justify-end">
+                      <button title="Move up" disabled={i === 0} onClick={() => moveRow(i, -1)} className="px-2 py-1 rounded-lg bg-neutral-800 disabled:opacity-30">↑</button>
+                      <button title="Move down" disabled={i === rows.length - 1} onClick={() => moveRow(i, 1)} className="px-2 py-1 rounded-lg bg-neutral-800 disabled:opacity-30">↓</button>
+                      <button title="Insert step below" onClick={() => insertRow(i + 1)} className="px-2 py-1 rounded-lg bg-neutral-800">＋</button>
+                      <button title="Delete step" onClick={() => deleteRow(row.id)} className="px-2 py-1 rounded-lg bg-red-700">✕</button>
+                    </div>
+                  </div>
+                  {row.branches && (
+                    <p className="mt-1 pl-10 text-xs opacity-70">
+                      ⑂ Decision point: {row.branches.map(b => b.name).join(" / ")} (edit branches in the JSON)
+                    </p>
+                  )}
+                  {messages.length > 0 && (
+                    <ul className="mt-1 pl-10 text-xs text-red-300">
+                      {messages.map(([field, msg]) => <li key={field}>{msg}</li>)}
+                    </ul>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <button onClick={() => insertRow(rows.length)} className="mt-3 px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+            + Add Step
+          </button>
+        </section>
+
+        {/* Live waterfall preview */}
+        <aside>
+          <div className="lg:sticky lg:top-6">
+            <h2 className="text-lg font-semibold mb-2">Preview</h2>
+            <label className="block text-sm opacity-80 mb-1">
+              Game Time: <strong>{formatTime(previewSeconds)}</strong>
+            </label>
+            <input
+              type="range"
+              min={0}
+              max={previewLength}
+              value={previewSeconds}
+              onChange={e => setPreviewSeconds(Number(e.target.value))}
+              className="w-full mb-4"
+            />
+            <div className="grid gap-3 max-h-[70vh] overflow-y-auto">
+              {previewSteps.map((step, i) => {
+                const active = previewSeconds >= step.start && previewSeconds < step.end;
+                const done = previewSeconds >= step.end;
+                return (
+                  <div
+                    key={i}
+                    className={`p-4 rounded-2xl shadow transition border ${
+                      active
+                        ? "bg-blue-600 border-blue-400"
+                        : done
+                        ? "bg-neutral-800 opacity-60 border-neutral-700"
+                        : "bg-neutral-900 border-neutral-700"
+                    }`}
+                  >
+                    <div className="text-sm opacity-80">@ {step.time} • {step.supply} supply</div>
+                    <div className="text-lg font-semibold">{step.action || "—"}</div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </aside>
+      </div>
+    </div>
+  );
+}
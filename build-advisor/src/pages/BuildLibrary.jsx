@@ -0,0 +1,158 @@
+// build-advisor/src/pages/BuildLibrary.jsx
+// Searchable build library over build-orders/index.json with race, matchup
+// and style filters, sorting and browser-stored favorites.
+
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { fetchBuildIndex } from "../bundledBuilds";
+
+const FAVORITES_KEY = "build-advisor:favorites";
+
+const SORTS = {
+  name: { label: "Name", compare: (a, b) => a.name.localeCompare(b.name) },
+  race: { label: "Race", compare: (a, b) => a.race.localeCompare(b.race) || a.name.localeCompare(b.name) },
+  matchup: { label: "Matchup", compare: (a, b) => (a.matchup ?? "~").localeCompare(b.matchup ?? "~") || a.name.localeCompare(b.name) },
+  steps: { label: "Step count", compare: (a, b) => (a.steps ?? 0) - (b.steps ?? 0) },
+};
+
+function loadFavorites() {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(FAVORITES_KEY)) || []);
+  } catch {
+    return new Set();
+  }
+}
+
+// Distinct, sorted, non-empty values of a field for filter dropdowns
+function optionsFor(builds, field) {
+  return [...new Set(builds.map(b => b[field]).filter(Boolean))].sort();
+}
+
+export function BuildLibrary() {
+  const navigate = useNavigate();
+  const [builds, setBuilds] = useState([]);
+  const [loadError, setLoadError] = useState("");
+  const [query, setQuery] = useState("");
+  const [race, setRace] = useState("");
+  const [matchup, setMatchup] = useState("");
+  const [style, setStyle] = useState("");
+  const [sortBy, setSortBy] = useState("name");
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [favorites, setFavorites] = useState(loadFavorites);
+
+  useEffect(() => {
+    fetchBuildIndex()
+      .then(setBuilds)
+      .catch(err => setLoadError(err.message || "Unable to load build index."));
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem(FAVORITES_KEY, JSON.stringify([...favorites]));
+  }, [favorites]);
+
+  function toggleFavorite(id) {
+    setFavorites(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  const results = useMemo(() => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return builds
+      .filter(b => !race || b.race === race)
+      .filter(b => !matchup || b.matchup === matchup)
+      .filter(b => !style || b.style === style)
+      .filter(b => !favoritesOnly || favorites.has(b.id))
+      .filter(b => {
+        const haystack = [b.name, b.race, b.matchup, b.style].join(" ").toLowerCase();
+        return terms.every(t => haystack.includes(t));
+      })
+      .sort((a, b) => (favorites.has(b.id) - favorites.has(a.id)) || SORTS[sortBy].compare(a, b));
+  }, [builds, query, race, matchup, style, favoritesOnly, favorites, sortBy]);
+
+  const selectClass = "px-3 py-2 rounded-xl bg-neutral-900 border border-neutral-700";
+
+  return (
+    <div className="min-h-screen bg-neutral-950 text-neutral-100 p-6">
+      <header className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Build Library</h1>
+          <p className="opacity-70">{results.length} of {builds.length} builds</p>
+        </div>
+        <Link to="/" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          ← Back to Advisor
+        </Link>
+      </header>
+
+      <div className="mb-6 grid gap-2 sm:grid-cols-2 lg:grid-cols-[1fr_repeat(4,auto)_auto]">
+        <input
+          type="search"
+          placeholder="Search builds…"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          className="px-3 py-2 rounded-xl bg-neutral-900 border border-neutral-700 focus:outline-none focus:ring"
+        />
+        <select value={race} onChange={e => setRace(e.target.value)} className={selectClass}>
+          <option value="">All races</option>
+          {optionsFor(builds, "race").map(r => <option key={r} value={r}>{r}</option>)}
+        </select>
+        <select value={matchup} onChange={e => setMatchup(e.target.value)} className={selectClass}>
+          <option value="">All matchups</option>
+          {optionsFor(builds, "matchup").map(m => <option key={m} value={m}>{m}</option>)}
+        </select>
+        <select value={style} onChange={e => setStyle(e.target.value)} className={selectClass}>
+          <option value="">All styles</option>
+          {optionsFor(builds, "style").map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select value={sortBy} onChange={e => setSortBy(e.target.value)} className={selectClass}>
+          {Object.entries(SORTS).map(([key, s]) => <option key={key} value={key}>Sort: {s.label}</option>)}
+        </select>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={favoritesOnly} onChange={e => setFavoritesOnly(e.target.checked)} />
+          Favorites only
+        </label>
+      </div>
+
+      {loadError && (
+        <div className="mb-4 rounded-xl border border-red-700 bg-red-900/40 px-4 py-2 text-sm text-red-200">
+          {loadError}
+        </div>
+      )}
+
+      <div className="grid gap-3">
+        {results.map(b => (
+          <div key={b.id} className="flex items-center gap-3 p-4 rounded-2xl border border-neutral-700 bg-neutral-900">
+            <button
+              onClick={() => toggleFavorite(b.id)}
+              title={favorites.has(b.id) ? "Remove from favorites" : "Add to favorites"}
+              className={`text-xl ${favorites.has(b.id) ? "text-yellow-400" : "opacity-40"}`}
+            >
+              {favorites.has(b.id) ? "★" : "☆"}
+            </button>
+            <div className="flex-1 min-w-0">
+              <div className="text-lg font-semibold truncate">{b.name}</div>
+              <div className="flex flex-wrap gap-2 text-xs mt-1">
+                <span className="px-2 py-0.5 rounded-full bg-neutral-800">{b.race}</span>
+                {b.matchup && <span className="px-2 py-0.5 rounded-full bg-blue-900">{b.matchup}</span>}
+                {b.style && <span className="px-2 py-0.5 rounded-full bg-purple-900">{b.style}</span>}
+                {b.steps !== null && <span className="px-2 py-0.5 rounded-full bg-neutral-800">{b.steps} steps</span>}
+              </div>
+            </div>
+            <button
+              onClick={() => navigate(`/?build=${encodeURIComponent(b.id)}`)}
+              className="px-4 py-2 rounded-xl bg-blue-600"
+            >
+              Load
+            </button>
+          </div>
+        ))}
+        {builds.length > 0 && results.length === 0 && (
+          <p className="opacity-60">No builds match these filters.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+// build-advisor/src/pages/CheatSheet.jsx
+// One-page cheat sheet of the build loaded in the Advisor, for a second
+// monitor or for printing. Opened in its own tab, so it reads the build the
+// Advisor keeps in localStorage rather than router state.
+
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { validateBuild } from "../buildUtils";
+import { flattenSteps, normalizeBuild } from "../buildExport";
+
+function loadCurrentBuild() {
+  try {
+    const build = JSON.parse(localStorage.getItem("build-advisor:build"));
+    return build && validateBuild(build).length === 0 ? normalizeBuild(build) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function CheatSheet() {
+  const [build] = useState(loadCurrentBuild);
+
+  if (!build) {
+    return (
+      <div className="min-h-screen bg-neutral-950 text-neutral-100 p-6">
+        <p className="mb-4">No build loaded. Load one in the Advisor first.</p>
+        <Link to="/" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">← Back to Advisor</Link>
+      </div>
+    );
+  }
+
+  const rows = flattenSteps(build.steps);
+
+  return (
+    <div className="min-h-screen bg-white text-neutral-900 p-6 print:p-0 print:min-h-0">
+      <div className="mb-4 flex flex-wrap gap-2 print:hidden">
+        <Link to="/" className="px-4 py-2 rounded-xl bg-neutral-200 hover:bg-neutral-300">← Back to Advisor</Link>
+        <button onClick={() => window.print()} className="px-4 py-2 rounded-xl bg-neutral-900 text-white">
+          🖨 Print
+        </button>
+      </div>
+
+      <header className="mb-3 border-b border-neutral-300 pb-2">
+        <h1 className="text-xl font-bold leading-tight">{build.name}</h1>
+        <p className="text-sm text-neutral-600">{build.race} • {rows.length} steps</p>
+      </header>
+
+      <ol className="columns-[15rem] gap-6 text-sm print:text-[9pt] print:columns-3">
+        {rows.map(({ step, branch }, i) => (
+          <li key={i} className="flex gap-2 break-inside-avoid border-b border-neutral-200 py-0.5">
+            <span className="w-7 shrink-0 text-right tabular-nums text-neutral-500">{step.supply}</span>
+            <span className="w-10 shrink-0 tabular-nums font-semibold">{step.time}</span>
+            <span>
+              {step.action}
+              {branch && <span className="ml-1 text-xs italic text-neutral-500">({branch})</span>}
+              {step.branches && <span className="ml-1 text-xs text-neutral-500">⑂ decision</span>}
+            </span>
+          </li>
+        ))}
+      </ol>
+
+      {build.reminders?.length > 0 && (
+        <p className="mt-3 border-t border-neutral-300 pt-2 text-xs text-neutral-600">
+          Macro: {build.reminders.map(r => `${r.text} every ${r.every}s${r.start ? ` from ${r.start}` : ""}`).join(" • ")}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+// build-advisor/src/pages/MyBuilds.jsx
+// The player's saved builds: open, rename, duplicate or delete them, and
+// move the whole collection between browsers as one JSON file.
+
+import React, { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { BuildValidationError, formatValidationError } from "../buildUtils";
+import {
+  deleteMyBuild,
+  duplicateMyBuild,
+  exportMyBuilds,
+  importMyBuilds,
+  listMyBuilds,
+  renameMyBuild,
+} from "../myBuilds";
+
+function BuildRow({ record, onChanged, onError }) {
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState(record.build.name);
+
+  async function run(action) {
+    try {
+      await action();
+      onChanged();
+    } catch (err) {
+      onError(err);
+    }
+  }
+
+  function saveName() {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setEditing(false);
+    run(() => renameMyBuild(record.id, trimmed));
+  }
+
+  return (
+    <li className="flex flex-wrap items-center gap-2 rounded-2xl border border-neutral-800 bg-neutral-900/60 px-4 py-3">
+      <div className="flex-1 min-w-[12rem]">
+        {editing ? (
+          <input
+            autoFocus
+            value={name}
+            onChange={e => setName(e.target.value)}
+            onKeyDown={e => {
+              if (e.key === "Enter") saveName();
+              if (e.key === "Escape") setEditing(false);
+            }}
+            className="w-full px-2 py-1 rounded-lg bg-neutral-900 border border-neutral-700"
+          />
+        ) : (
+          <div className="font-semibold">{record.build.name}</div>
+        )}
+        <div className="text-xs opacity-60">
+          {record.build.race} • {record.build.steps.length} steps • saved {new Date(record.updatedAt).toLocaleString()}
+        </div>
+      </div>
+      <Link
+        to="/"
+        state={{ build: record.build, myBuildId: record.id }}
+        className="px-3 py-1 rounded-lg bg-blue-600 hover:bg-blue-500"
+      >
+        Open
+      </Link>
+      {editing ? (
+        <button onClick={saveName} className="px-3 py-1 rounded-lg bg-green-600">Save</button>
+      ) : (
+        <button onClick={() => setEditing(true)} className="px-3 py-1 rounded-lg bg-neutral-800 hover:bg-neutral-700">Rename</button>
+      )}
+      <button
+        onClick={() => run(() => duplicateMyBuild(record.id))}
+        className="px-3 py-1 rounded-lg bg-neutral-800 hover:bg-neutral-700"
+      >
+        Duplicate
+      </button>
+      <button
+        onClick={() => window.confirm(`Delete "${record.build.name}"?`) && run(() => deleteMyBuild(record.id))}
+        className="px-3 py-1 rounded-lg bg-red-700 hover:bg-red-600"
+      >
+        Delete
+      </button>
+    </li>
+  );
+}
+
+export function MyBuilds() {
+  const [records, setRecords] = useState([]);
+  const [errorMessage, setErrorMessage] = useState("");
+  const [errorDetails, setErrorDetails] = useState([]);
+  const [successMessage, setSuccessMessage] = useState("");
+  const fileInputRef = useRef(null);
+
+  function showError(err) {
+    setSuccessMessage("");
+    setErrorMessage(err.message || "Unable to read My Builds.");
+    setErrorDetails(err instanceof BuildValidationError ? err.errors : []);
+  }
+
+  function refresh() {
+    listMyBuilds().then(setRecords).catch(showError);
+  }
+
+  useEffect(refresh, []);
+
+  async function importFile(file) {
+    try {
+      setErrorMessage("");
+      setErrorDetails([]);
+      const count = await importMyBuilds(JSON.parse(await file.text()));
+      setSuccessMessage(`Imported ${count} build${count === 1 ? "" : "s"}`);
+      refresh();
+    } catch (err) {
+      showError(err);
+    } finally {
+      fileInputRef.current.value = "";
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-neutral-950 text-neutral-100 p-6">
+      <header className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">My Builds</h1>
+          <p className="opacity-70">Builds saved in this browser.</p>
+        </div>
+        <Link to="/" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          ← Back to Advisor
+        </Link>
+      </header>
+
+      <div className="mb-6 flex flex-wrap gap-2">
+        <button
+          disabled={records.length === 0}
+          onClick={() => exportMyBuilds().catch(showError)}
+          className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700 disabled:opacity-50"
+        >
+          ⬇ Export collection
+        </button>
+        <button onClick={() => fileInputRef.current.click()} className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          ⬆ Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json"
+          onChange={e => e.target.files?.[0] && importFile(e.target.files[0])}
+          className="hidden"
+        />
+      </div>
+
+      {successMessage && (
+        <div className="mb-4 rounded-xl border border-green-700 bg-green-900/40 px-4 py-2 text-sm text-green-200">
+          {successMessage}
+        </div>
+      )}
+      {errorMessage && (
+        <div className="mb-4 rounded-xl border border-red-700 bg-red-900/40 px-4 py-2 text-sm text-red-200">
+          {errorMessage}
+          {errorDetails.length > 0 && (
+            <ul className="mt-2 max-h-48 overflow-y-auto list-disc pl-5 font-mono text-xs">
+              {errorDetails.map((err, i) => <li key={i}>{formatValidationError(err)}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {records.length === 0 ? (
+        <p className="opacity-60">No saved builds yet. Use “Save to My Builds” in the advisor.</p>
+      ) : (
+        <ul className="grid gap-2">
+          {records.map(r => <BuildRow key={r.id} record={r} onChanged={refresh} onError={showError} />)}
+        </ul>
+      )}
+    </div>
+  );
+}
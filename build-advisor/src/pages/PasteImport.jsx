@@ -0,0 +1,148 @@
+// build-advisor/src/pages/PasteImport.jsx
+// Paste a text build order (Spawning Tool / Liquipedia style), preview the
+// parsed steps line by line, then open it in the Advisor or the Editor.
+
+import React, { useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import {
+  RACE_LETTERS,
+  RACES,
+  formatValidationError,
+  parseTitleMeta,
+  validateBuild,
+} from "../buildUtils";
+import { parseBuildText } from "../textImport";
+
+const PLACEHOLDER = `14  0:17  Supply Depot
+16  0:40  Barracks
+16  0:44  Refinery
+0:40 16 Barracks x2`;
+
+export function PasteImport() {
+  const navigate = useNavigate();
+  const [text, setText] = useState("");
+  const [name, setName] = useState("Imported Build");
+  const [race, setRace] = useState("");
+
+  const parsed = useMemo(() => parseBuildText(text), [text]);
+
+  // Guess race from a matchup in the name, e.g. "(TvZ Timing Attack)"
+  const guessedRace = RACE_LETTERS[parseTitleMeta(name).matchup?.[0]] ?? "Unknown";
+  const build = useMemo(
+    () => ({ name: name.trim(), race: race || guessedRace, steps: parsed.steps }),
+    [name, race, guessedRace, parsed.steps]
+  );
+  const buildErrors = useMemo(() => validateBuild(build), [build]);
+
+  const failed = parsed.lines.filter(l => l.error).length;
+  const canUse = parsed.steps.length > 0 && buildErrors.length === 0;
+
+  return (
+    <div className="min-h-screen bg-neutral-950 text-neutral-100 p-6">
+      <header className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Paste Build Order</h1>
+          <p className="opacity-70">Paste a build copied from Spawning Tool, Liquipedia or your notes.</p>
+        </div>
+        <Link to="/" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          ← Back to Advisor
+        </Link>
+      </header>
+
+      <div className="grid grid-cols-1 gap-8 lg:grid-cols-2">
+        <section>
+          <div className="grid gap-3 mb-3 sm:grid-cols-[1fr_180px]">
+            <div>
+              <label className="block text-sm opacity-80 mb-1">Name</label>
+              <input
+                value={name}
+                onChange={e => setName(e.target.value)}
+                className="w-full px-3 py-2 rounded-xl bg-neutral-900 border border-neutral-700"
+              />
+            </div>
+            <div>
+              <label className="block text-sm opacity-80 mb-1">Race</label>
+              <select
+                value={race}
+                onChange={e => setRace(e.target.value)}
+                className="w-full px-3 py-2 rounded-xl bg-neutral-900 border border-neutral-700"
+              >
+                <option value="">Auto ({guessedRace})</option>
+                {RACES.map(r => <option key={r} value={r}>{r}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <label className="block text-sm opacity-80 mb-1">Build order text</label>
+          <textarea
+            value={text}
+            onChange={e => setText(e.target.value)}
+            placeholder={PLACEHOLDER}
+            rows={18}
+            spellCheck={false}
+            className="w-full px-3 py-2 rounded-xl bg-neutral-900 border border-neutral-700 font-mono text-sm focus:outline-none focus:ring"
+          />
+
+          <div className="mt-3 flex flex-wrap gap-2 items-center">
+            <button
+              disabled={!canUse}
+              onClick={() => navigate("/", { state: { build } })}
+              className="px-4 py-2 rounded-xl bg-blue-600 disabled:opacity-50"
+            >
+              Load in Advisor
+            </button>
+            <button
+              disabled={parsed.steps.length === 0}
+              onClick={() => navigate("/editor", { state: { build } })}
+              className="px-4 py-2 rounded-xl bg-neutral-700 disabled:opacity-50"
+            >
+              Open in Editor
+            </button>
+            <span className="text-sm opacity-80">
+              {parsed.steps.length} step{parsed.steps.length === 1 ? "" : "s"} parsed
+              {failed > 0 && <span className="text-red-300"> • {failed} line{failed === 1 ? "" : "s"} not understood</span>}
+            </span>
+          </div>
+
+          {parsed.steps.length > 0 && buildErrors.length > 0 && (
+            <div className="mt-4 rounded-xl border border-red-700 bg-red-900/40 px-4 py-2 text-sm text-red-200">
+              Fix these before loading (or open in the editor):
+              <ul className="mt-2 list-disc pl-5 font-mono text-xs">
+                {buildErrors.map((err, i) => <li key={i}>{formatValidationError(err)}</li>)}
+              </ul>
+            </div>
+          )}
+        </section>
+
+        {/* Line-by-line preview */}
+        <section>
+          <h2 className="text-lg font-semibold mb-2">Preview</h2>
+          {parsed.lines.length === 0 && <p className="opacity-60">Parsed steps will appear here.</p>}
+          <div className="grid gap-1 font-mono text-sm">
+            {parsed.lines.map(line => (
+              <div
+                key={line.lineNumber}
+                className={`grid grid-cols-[40px_1fr] gap-2 rounded-lg px-2 py-1 ${
+                  line.error ? "bg-red-900/40 text-red-200" : line.warning ? "bg-yellow-900/30" : "bg-neutral-900"
+                }`}
+              >
+                <span className="opacity-50">{line.lineNumber}</span>
+                {line.step ? (
+                  <span>
+                    {line.step.supply} • {line.step.time} • {line.step.action}
+                    {line.warning && <span className="block text-xs text-yellow-200">{line.warning}</span>}
+                  </span>
+                ) : (
+                  <span>
+                    {line.text}
+                    <span className="block text-xs">{line.error}</span>
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+// build-advisor/src/pages/PracticeHistory.jsx
+// Practice history per build: average deviation per step, the steps most
+// often finished late, and how each session compares to the previous ones.
+
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  LATE_THRESHOLD,
+  deleteSession,
+  loadPracticedBuilds,
+  loadSessions,
+  summarizeSessions,
+} from "../practiceSessions";
+
+function formatDeviation(d) {
+  const rounded = Math.round(d * 10) / 10;
+  return `${rounded > 0 ? "+" : ""}${rounded}s`;
+}
+
+function deviationClass(d) {
+  if (d > LATE_THRESHOLD) return "text-red-300";
+  if (d < -LATE_THRESHOLD) return "text-yellow-300";
+  return "text-green-300";
+}
+
+// Bar chart of average absolute deviation per session (lower is better)
+function TrendChart({ trend }) {
+  const max = Math.max(1, ...trend.map(t => t.avgAbsDeviation));
+  const barWidth = 24;
+  const height = 120;
+  return (
+    <svg
+      width={Math.max(trend.length * (barWidth + 6), 120)}
+      height={height + 20}
+      className="overflow-visible"
+    >
+      {trend.map((t, i) => {
+        const h = Math.max(2, (t.avgAbsDeviation / max) * height);
+        return (
+          <g key={t.id} transform={`translate(${i * (barWidth + 6)}, 0)`}>
+            <title>{`${new Date(t.startedAt).toLocaleString()}: ±${t.avgAbsDeviation.toFixed(1)}s`}</title>
+            <rect y={height - h} width={barWidth} height={h} rx={4} className="fill-blue-500" />
+            <text x={barWidth / 2} y={height + 14} textAnchor="middle" className="fill-neutral-400 text-[10px]">
+              {i + 1}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export function PracticeHistory() {
+  const [builds, setBuilds] = useState([]);
+  const [selected, setSelected] = useState("");
+  const [sessions, setSessions] = useState([]);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  useEffect(() => {
+    loadPracticedBuilds()
+      .then(list => {
+        setBuilds(list);
+        if (list.length) setSelected(list[0].key);
+      })
+      .catch(err => setErrorMessage(err.message || "Unable to read practice history."));
+  }, []);
+
+  useEffect(() => {
+    if (!selected) return;
+    loadSessions(selected)
+      .then(setSessions)
+      .catch(err => setErrorMessage(err.message || "Unable to read practice history."));
+  }, [selected]);
+
+  const summary = useMemo(() => summarizeSessions(sessions), [sessions]);
+  const mostLate = useMemo(
+    () => summary.steps
+      .filter(s => s.lateCount > 0)
+      .sort((a, b) => b.lateCount / b.count - a.lateCount / a.count || b.avgDeviation - a.avgDeviation)
+      .slice(0, 5),
+    [summary]
+  );
+
+  async function removeSession(id) {
+    if (!window.confirm("Delete this practice session?")) return;
+    try {
+      await deleteSession(id);
+      setErrorMessage("");
+      setSessions(list => list.filter(s => s.id !== id));
+    } catch (err) {
+      setErrorMessage(err.message || "Unable to delete the practice session.");
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-neutral-950 text-neutral-100 p-6">
+      <header className="mb-6 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Practice History</h1>
+          <p className="opacity-70">How close each run came to the planned step times.</p>
+        </div>
+        <Link to="/" className="px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700">
+          ← Back to Advisor
+        </Link>
+      </header>
+
+      {errorMessage && (
+        <div className="mb-4 rounded-xl border border-red-700 bg-red-900/40 px-4 py-2 text-sm text-red-200">
+          {errorMessage}
+        </div>
+      )}
+
+      {builds.length === 0 ? (
+        <p className="opacity-60">
+          No practice sessions yet. Start the timer in the Advisor and press “✓ Done” (or D) as you finish each step.
+        </p>
+      ) : (
+        <>
+          <div className="mb-6">
+            <label className="block text-sm opacity-80 mb-1">Build</label>
+            <select
+              value={selected}
+              onChange={e => setSelected(e.target.value)}
+              className="w-full px-3 py-2 rounded-xl bg-neutral-900 border border-neutral-700"
+            >
+              {builds.map(b => <option key={b.key} value={b.key}>{b.name}</option>)}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-1 gap-8 lg:grid-cols-2">
+            <section>
+              <h2 className="text-lg font-semibold mb-2">Trend ({summary.trend.length} sessions)</h2>
+              <p className="text-sm opacity-70 mb-3">Average distance from the planned time per session, oldest first.</p>
+              <div className="mb-4 overflow-x-auto">
+                <TrendChart trend={summary.trend} />
+              </div>
+              <div className="grid gap-2">
+                {[...summary.trend].reverse().map(t => (
+                  <div key={t.id} className="flex items-center gap-3 rounded-xl border border-neutral-800 bg-neutral-900 px-3 py-2 text-sm">
+                    <span className="flex-1">{new Date(t.startedAt).toLocaleString()}</span>
+                    <span className="opacity-70">{t.marked}/{t.stepCount} steps</span>
+                    <span className={deviationClass(t.avgDeviation)}>avg {formatDeviation(t.avgDeviation)}</span>
+                    <button onClick={() => removeSession(t.id)} title="Delete session" className="px-2 py-0.5 rounded-lg bg-neutral-800">✕</button>
+                  </div>
+                ))}
+              </div>
+            </section>
+
+            <section>
+              {mostLate.length > 0 && (
+                <>
+                  <h2 className="text-lg font-semibold mb-2">Most often late</h2>
+                  <ul className="mb-6 grid gap-1 text-sm">
+                    {mostLate.map(s => (
+                      <li key={`${s.index}:${s.action}`} className="flex justify-between rounded-lg bg-red-900/30 px-3 py-1">
+                        <span>#{s.index + 1} {s.action}</span>
+                        <span>late {s.lateCount}/{s.count} • avg {formatDeviation(s.avgDeviation)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+
+              <h2 className="text-lg font-semibold mb-2">Average deviation per step</h2>
+              <table className="w-full text-sm">
+                <thead className="text-left opacity-60">
+                  <tr><th>#</th><th>Action</th><th>Runs</th><th className="text-right">Avg</th></tr>
+                </thead>
+                <tbody>
+                  {summary.steps.map(s => (
+                    <tr key={`${s.index}:${s.action}`} className="border-t border-neutral-800">
+                      <td className="py-1 opacity-60">{s.index + 1}</td>
+                      <td>{s.action}</td>
+                      <td className="opacity-70">{s.count}</td>
+                      <td className={`text-right ${deviationClass(s.avgDeviation)}`}>{formatDeviation(s.avgDeviation)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="mt-3 text-xs opacity-60">
+                Positive is late, negative is early. Late means more than {LATE_THRESHOLD}s after the planned time.
+              </p>
+            </section>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
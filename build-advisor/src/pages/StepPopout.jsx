@@ -0,0 +1,78 @@
+// build-advisor/src/pages/StepPopout.jsx
+// Small always-at-hand window opened by the Advisor's "Pop out" button:
+// just the clock, the current step and the next one. Follows the Advisor's
+// build and clock over the overlay channel; pausing or starting here pauses
+// or starts every other window too.
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { enrichSteps, formatTime } from "../buildUtils";
+import { useGameClock } from "../useGameClock";
+import { openOverlayChannel, sameAnchor } from "../overlayChannel";
+
+export function StepPopout() {
+  const clock = useGameClock();
+  const { sync } = clock;
+  const [build, setBuild] = useState(null);
+  const channelRef = useRef(null);
+  const receivedRef = useRef(null); // last anchor adopted from another window
+
+  useEffect(() => {
+    document.title = "Build Advisor – steps";
+    const channel = openOverlayChannel(msg => {
+      if (msg.type === "clock") {
+        receivedRef.current = msg.anchor;
+        sync(msg.anchor);
+      } else if (msg.type === "build") {
+        setBuild(msg.build);
+      }
+    });
+    channelRef.current = channel;
+    channel.post({ type: "hello" });
+    return () => channel.close();
+  }, [sync]);
+
+  // Only anchors changed here (start/pause) go out
+  useEffect(() => {
+    if (!receivedRef.current || sameAnchor(clock.anchor, receivedRef.current)) return;
+    channelRef.current?.post({ type: "clock", anchor: clock.anchor });
+  }, [clock.anchor]);
+
+  const { current, next } = useMemo(() => {
+    const steps = build ? enrichSteps(build.steps) : [];
+    const upcoming = steps.findIndex(s => clock.seconds < s.start);
+    const nextIndex = upcoming === -1 ? steps.length : upcoming;
+    return { current: steps[nextIndex - 1] ?? null, next: steps[nextIndex] ?? null };
+  }, [build, clock.seconds]);
+
+  return (
+    <div className="min-h-screen bg-neutral-950 text-neutral-100 p-3 flex flex-col gap-2">
+      <div className="flex items-center gap-2">
+        <span className="text-2xl font-semibold tabular-nums">{formatTime(clock.seconds)}</span>
+        <button
+          onClick={clock.running ? clock.pause : clock.start}
+          disabled={!build}
+          className="ml-auto px-4 py-2 rounded-xl bg-neutral-800 hover:bg-neutral-700 disabled:opacity-50"
+        >
+          {clock.running ? "⏸ Pause" : "▶ Start"}
+        </button>
+      </div>
+      {!build && <p className="text-sm text-neutral-400">Waiting for the Advisor… keep its tab open.</p>}
+      {build && (
+        <>
+          <div className="rounded-xl bg-blue-600 px-3 py-2">
+            <div className="text-xs opacity-80 tabular-nums">
+              {current ? `Now • ${current.time} • ${current.supply}` : "Now"}
+            </div>
+            <div className="text-lg font-semibold">{current ? current.action : "—"}</div>
+          </div>
+          <div className="rounded-xl bg-neutral-800 px-3 py-2">
+            <div className="text-xs text-neutral-400 tabular-nums">
+              {next ? `Next • ${next.time} • ${next.supply}` : "Next"}
+            </div>
+            <div>{next ? next.action : "Build complete"}</div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+// build-advisor/src/pages/StreamOverlay.jsx
+// Compact, transparent waterfall for streaming (OBS browser source or
+// window capture). Configured entirely through the query string:
+//   ?build=<id>       bundled build to show (or a #build=… share fragment)
+//   &count=3          number of steps shown (current + upcoming)
+//   &scale=1          font scale
+//   &fg=ffffff        text color      &bg=transparent  background color
+//   &accent=2563eb    current-step color
+// The Build Advisor drives start/pause/reset over the overlay channel, and
+// through the local server's relay for an OBS browser source (see
+// overlayChannel.js). A build given in the URL follows the branches picked
+// in the Advisor while the Advisor has the same build loaded.
+
+import React, { useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { activePath, enrichSteps, formatTime, validateBuild } from "../buildUtils";
+import { fetchLocalBuild } from "../bundledBuilds";
+import { useGameClock } from "../useGameClock";
+import { openOverlayChannel, pollRelay } from "../overlayChannel";
+import { decodeBuild, readSharePayload } from "../shareLink";
+
+// Accepts "ff0000", "#ff0000" or CSS color names
+function color(value, fallback) {
+  if (!value) return fallback;
+  return /^[0-9a-f]{3,8}$/i.test(value) ? `#${value}` : value;
+}
+
+export function StreamOverlay() {
+  const [params] = useSearchParams();
+  const count = Math.max(1, Number(params.get("count")) || 3);
+  const scale = Number(params.get("scale")) || 1;
+  const fg = color(params.get("fg"), "#ffffff");
+  const bg = color(params.get("bg"), "transparent");
+  const accent = color(params.get("accent"), "#2563eb");
+  const buildId = params.get("build");
+
+  const clock = useGameClock();
+  const { sync } = clock;
+  const [build, setBuild] = useState(null);
+  const [advisor, setAdvisor] = useState({ name: null, branchChoices: {} }); // the Advisor's build and branch picks
+  const [error, setError] = useState("");
+
+  // Transparent page background for OBS
+  useEffect(() => {
+    const root = document.documentElement;
+    const previous = [root.style.backgroundColor, document.body.style.backgroundColor];
+    root.style.backgroundColor = "transparent";
+    document.body.style.backgroundColor = "transparent";
+    return () => {
+      [root.style.backgroundColor, document.body.style.backgroundColor] = previous;
+    };
+  }, []);
+
+  useEffect(() => {
+    const payload = readSharePayload(window.location.hash);
+    const load = payload ? decodeBuild(payload) : buildId ? fetchLocalBuild(buildId) : null;
+    if (!load) return;
+    load
+      .then(json => {
+        const errors = validateBuild(json);
+        if (errors.length) throw new Error(`Invalid build format (${errors.length} problems)`);
+        setBuild(json);
+      })
+      .catch(err => setError(err.message || "Unable to load build."));
+  }, [buildId]);
+
+  // Follow the Advisor's clock; take its build when none was given in the URL
+  useEffect(() => {
+    const pinned = Boolean(buildId || readSharePayload(window.location.hash));
+    const adopt = (advisorBuild, branchChoices) => {
+      if (!pinned) setBuild(advisorBuild);
+      setAdvisor({ name: advisorBuild.name, branchChoices: branchChoices ?? {} });
+    };
+    const channel = openOverlayChannel(msg => {
+      if (msg.type === "clock") sync(msg.anchor);
+      else if (msg.type === "build") adopt(msg.build, msg.branchChoices);
+    });
+    channel.post({ type: "hello" });
+    const stopRelay = pollRelay(state => {
+      if (state.anchor) sync(state.anchor);
+      if (state.build) adopt(state.build, state.branchChoices);
+    });
+    return () => {
+      channel.close();
+      stopRelay();
+    };
+  }, [buildId, sync]);
+
+  const steps = useMemo(() => {
+    if (!build) return [];
+    // A build from the URL still has its branches; the Advisor's arrives resolved
+    const choices = advisor.name === build.name ? advisor.branchChoices : {};
+    const enriched = enrichSteps(activePath(build.steps, choices));
+    return enriched.filter(s => clock.seconds < s.end).slice(0, count);
+  }, [build, advisor, clock.seconds, count]);
+
+  return (
+    <div
+      style={{ color: fg, backgroundColor: bg, fontSize: `${scale}rem` }}
+      className="min-h-screen w-full p-3 font-semibold"
+    >
+      <div className="mb-2 text-[1.5em] tabular-nums drop-shadow">{formatTime(clock.seconds)}</div>
+      {error && <div className="text-[0.8em] text-red-400">{error}</div>}
+      {!build && !error && <div className="text-[0.8em] opacity-70">Waiting for a build…</div>}
+      <div className="grid gap-[0.4em]">
+        {steps.map((step, i) => {
+          const active = clock.seconds >= step.start;
+          return (
+            <div
+              key={step.index}
+              style={active ? { backgroundColor: accent } : undefined}
+              className={`rounded-[0.5em] px-[0.6em] py-[0.3em] drop-shadow ${active ? "" : "bg-black/40"} ${i > 0 ? "opacity-90" : ""}`}
+            >
+              <span className="mr-[0.5em] text-[0.75em] opacity-80 tabular-nums">{step.time} • {step.supply}</span>
+              {step.action}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
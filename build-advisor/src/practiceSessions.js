@@ -0,0 +1,79 @@
+// build-advisor/src/practiceSessions.js
+// Practice run history: each session records when the player actually
+// finished each step compared to its planned time.
+
+import { addRecord, deleteRecord, getAllByIndex, getAllRecords } from "./db";
+
+// Seconds past the planned time before a step counts as late
+export const LATE_THRESHOLD = 2;
+
+// Sessions are grouped by build name so builds from files and URLs match up
+export function buildKey(build) {
+  return build.name;
+}
+
+// build: as played, branches resolved to the path taken, so stepCount
+// doesn't include the alternatives.
+// marks: [{ index, action, planned, actual, deviation }]
+export function saveSession(build, marks, startedAt) {
+  return addRecord("sessions", {
+    buildKey: buildKey(build),
+    buildName: build.name,
+    startedAt,
+    stepCount: build.steps.length,
+    marks,
+  });
+}
+
+export function loadSessions(key) {
+  return getAllByIndex("sessions", "buildKey", key);
+}
+
+export async function loadPracticedBuilds() {
+  const sessions = await getAllRecords("sessions");
+  const names = new Map();
+  for (const s of sessions) names.set(s.buildKey, s.buildName);
+  return [...names].map(([key, name]) => ({ key, name }));
+}
+
+export function deleteSession(id) {
+  return deleteRecord("sessions", id);
+}
+
+function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+// Per-step deviation stats and a per-session trend, oldest session first
+export function summarizeSessions(sessions) {
+  const ordered = [...sessions].sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  const byStep = new Map();
+
+  for (const session of ordered) {
+    for (const mark of session.marks) {
+      const key = `${mark.index}:${mark.action}`;
+      if (!byStep.has(key)) byStep.set(key, { index: mark.index, action: mark.action, deviations: [] });
+      byStep.get(key).deviations.push(mark.deviation);
+    }
+  }
+
+  const steps = [...byStep.values()]
+    .map(({ deviations, ...step }) => ({
+      ...step,
+      count: deviations.length,
+      avgDeviation: average(deviations),
+      lateCount: deviations.filter(d => d > LATE_THRESHOLD).length,
+    }))
+    .sort((a, b) => a.index - b.index);
+
+  const trend = ordered.map(session => ({
+    id: session.id,
+    startedAt: session.startedAt,
+    marked: session.marks.length,
+    stepCount: session.stepCount,
+    avgDeviation: average(session.marks.map(m => m.deviation)),
+    avgAbsDeviation: average(session.marks.map(m => Math.abs(m.deviation))),
+  }));
+
+  return { steps, trend };
+}
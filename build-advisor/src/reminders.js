@@ -0,0 +1,70 @@
+// build-advisor/src/reminders.js
+// Recurring macro reminders ("Inject every 29s", "Check supply every 30s
+// after 3:00") that run on the game clock separately from the step list.
+// They come from the build's optional `reminders` field and from the
+// player's own profile, which applies to every build of a race.
+//
+// reminder: { text, every, start?, stop?, sound?, race? }
+// - every: interval in seconds; start / stop: "m:ss" (stop is optional)
+// - sound: one of ALERT_MODES, defaults to the build's alert mode
+// - race: profile reminders only; limits them to builds of that race
+
+import { parseTimeSafe, validateReminders } from "./buildUtils";
+
+const PROFILE_KEY = "build-advisor:reminders";
+
+export const REMINDER_PRESETS = [
+  { text: "Inject", every: 29, start: "1:40", race: "Zerg" },
+  { text: "Queen", every: 36, start: "1:40", stop: "6:00", race: "Zerg" },
+  { text: "Chrono Boost", every: 20, start: "0:20", race: "Protoss" },
+  { text: "SCV", every: 12, start: "0:00", stop: "8:00", race: "Terran" },
+  { text: "MULE", every: 64, start: "1:30", race: "Terran" },
+  { text: "Check supply", every: 30, start: "3:00" },
+];
+
+function bounds(reminder) {
+  const start = parseTimeSafe(reminder.start ?? "0:00");
+  const stop = reminder.stop ? parseTimeSafe(reminder.stop) : Infinity;
+  return { start, stop };
+}
+
+// Next time at or after `seconds` the reminder fires, or null once it has stopped
+export function nextDue(reminder, seconds) {
+  const { start, stop } = bounds(reminder);
+  const due = seconds <= start
+    ? start
+    : start + Math.ceil((seconds - start) / reminder.every) * reminder.every;
+  return due <= stop ? due : null;
+}
+
+// Reminders with a fire time in (prev, now]
+export function dueBetween(reminders, prev, now) {
+  return reminders.filter(r => {
+    let due = nextDue(r, prev);
+    if (due === prev) due = nextDue(r, prev + r.every); // already fired at prev
+    return due !== null && due <= now;
+  });
+}
+
+// The build's own reminders plus the profile ones for its race
+export function remindersFor(build, profile) {
+  const own = (build.reminders ?? []).map(r => ({ ...r, source: "build" }));
+  const mine = profile
+    .filter(r => !r.race || r.race === build.race)
+    .map(r => ({ ...r, source: "profile" }));
+  return [...own, ...mine];
+}
+
+export function loadProfileReminders() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILE_KEY));
+    // One bad entry only costs that entry, not the whole list
+    return Array.isArray(saved) ? saved.filter(r => validateReminders([r]).length === 0) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveProfileReminders(reminders) {
+  localStorage.setItem(PROFILE_KEY, JSON.stringify(reminders));
+}
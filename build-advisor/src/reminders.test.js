@@ -0,0 +1,46 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { dueBetween, loadProfileReminders, nextDue, remindersFor } from "./reminders";
+
+describe("nextDue", () => {
+  const inject = { text: "Inject", every: 29, start: "1:40", stop: "3:00" };
+
+  it("fires at start, then every interval until stop", () => {
+    expect(nextDue(inject, 0)).toBe(100);
+    expect(nextDue(inject, 101)).toBe(129);
+    expect(nextDue(inject, 175)).toBe(null);
+  });
+});
+
+describe("dueBetween", () => {
+  const supply = { text: "Check supply", every: 30 };
+
+  it("reports reminders due in (prev, now]", () => {
+    expect(dueBetween([supply], 29, 30)).toEqual([supply]);
+    expect(dueBetween([supply], 30, 31)).toEqual([]);
+  });
+});
+
+describe("remindersFor", () => {
+  it("adds profile reminders for the build's race only", () => {
+    const build = { race: "Zerg", reminders: [{ text: "Overlord", every: 40 }] };
+    const profile = [{ text: "Inject", every: 29, race: "Zerg" }, { text: "MULE", every: 64, race: "Terran" }];
+    expect(remindersFor(build, profile).map(r => [r.text, r.source])).toEqual([["Overlord", "build"], ["Inject", "profile"]]);
+  });
+});
+
+describe("loadProfileReminders", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  const stubStorage = value => vi.stubGlobal("localStorage", { getItem: () => JSON.stringify(value) });
+
+  it("drops only the entries that fail validation", () => {
+    const inject = { text: "Inject", every: 29, start: "1:40" };
+    stubStorage([inject, { text: "Backwards", every: 30, start: "3:00", stop: "1:00" }]);
+    expect(loadProfileReminders()).toEqual([inject]);
+  });
+
+  it("ignores anything that isn't a list", () => {
+    stubStorage({ text: "Inject" });
+    expect(loadProfileReminders()).toEqual([]);
+  });
+});
@@ -0,0 +1,165 @@
+// build-advisor/src/replayImport.js
+// Turns a .SC2Replay into build JSON entirely in the browser: the MPQ
+// archive is opened locally, tracker events are decoded, and the chosen
+// player's units, structures and upgrades become timed steps.
+// Replays from before patch 2.0.8 have no tracker events and are rejected.
+
+import { openMpq } from "./mpq";
+import { blobText, decodeTrackerEvents, decodeValue, TRACKER_EVENTS } from "./s2protocol";
+import { analyzeBuild, resolveAction } from "./actionCatalog";
+import { RACES, formatTime } from "./buildUtils";
+
+const LOOPS_PER_SECOND = 22.4; // "Faster" game speed
+const STEP_KINDS = new Set(["unit", "structure", "addon", "upgrade"]);
+const DEFAULT_SUPPLY = 12;
+
+// Game data names that don't split into the catalog name
+const GAME_NAMES = {
+  VikingFighter: "Viking", HellionTank: "Hellbat", TemplarArchive: "Templar Archives",
+  LurkerMP: "Lurker", LurkerDenMP: "Lurker Den", SwarmHostMP: "Swarm Host",
+  RefineryRich: "Refinery", AssimilatorRich: "Assimilator", ExtractorRich: "Extractor",
+  // Upgrades
+  ShieldWall: "Combat Shield", PunisherGrenades: "Concussive Shells",
+  HighCapacityBarrels: "Infernal Pre-Igniter", DrillClaws: "Drilling Claws",
+  BansheeCloak: "Cloaking Field", BansheeSpeed: "Hyperflight Rotors",
+  MedivacCaduceusReactor: "Caduceus Reactor", BattlecruiserEnableSpecializations: "Weapon Refit",
+  HiSecAutoTracking: "Hi-Sec Auto Tracking", TerranBuildingArmor: "Neosteel Armor",
+  WarpGateResearch: "Warp Gate", BlinkTech: "Blink", AdeptPiercingAttack: "Resonating Glaives",
+  PsiStormTech: "Psionic Storm", ObserverGraviticBooster: "Gravitic Boosters",
+  zerglingmovementspeed: "Metabolic Boost", zerglingattackspeed: "Adrenal Glands",
+  CentrificalHooks: "Centrifugal Hooks", overlordspeed: "Pneumatized Carapace",
+  EvolveGroovedSpines: "Grooved Spines", EvolveMuscularAugments: "Muscular Augments",
+};
+
+// Type changes that start a morph (the unit becomes its cocoon)
+const COCOONS = {
+  BanelingCocoon: "Baneling", RavagerCocoon: "Ravager", LurkerMPEgg: "Lurker",
+  BroodLordCocoon: "Brood Lord", OverlordCocoon: "Overseer",
+};
+// Type changes that finish a morph in place
+const MORPHS = new Set(["OrbitalCommand", "PlanetaryFortress", "Lair", "Hive", "GreaterSpire"]);
+
+// "TerranInfantryArmorsLevel1" → "Terran Infantry Armor Level 1"
+function catalogName(gameName) {
+  if (GAME_NAMES[gameName]) return GAME_NAMES[gameName];
+  return gameName
+    .replace(/([a-z])([A-Z0-9])/g, "$1 $2")
+    .replace(/ Armors /, " Armor ")
+    .replace(/^Zerg (\w+) Weapons /, "Zerg $1 Attacks ")
+    .replace(/^Zerg (\w+) Armor /, "Zerg $1 Carapace ");
+}
+
+function stepEntry(gameName) {
+  const entry = resolveAction(catalogName(gameName));
+  return entry && STEP_KINDS.has(entry.kind) ? entry : null;
+}
+
+// "[TAG]<sp/>Name" → "Name"
+function playerName(blob) {
+  return blobText(blob).replace(/^.*<sp\/>/, "");
+}
+
+// details: decoded replay.details; events: tracker events, if any.
+// Returns { map, players: [{ id, name, race, result }] }
+export function readDetails(details, events = []) {
+  // Tracker player ids follow the lobby slots; details lists players in its own order
+  const slots = new Map(
+    events.filter(e => e.id === TRACKER_EVENTS.playerSetup).map(e => [e.data[3], e.data[0]])
+  );
+  const players = (details[0] ?? []).map((p, i) => {
+    const race = blobText(p[2]);
+    return {
+      id: slots.get(p[9]) ?? i + 1,
+      name: playerName(p[0]) || `Player ${i + 1}`,
+      race: RACES.includes(race) ? race : null, // localized client: infer from the actions
+      result: { 1: "win", 2: "loss", 3: "tie" }[p[8]] ?? null,
+    };
+  });
+
+  return { map: blobText(details[1]), players };
+}
+
+// bytes: Uint8Array of the replay file.
+// Returns { map, players: [{ id, name, race, result }], events }
+export async function readReplay(bytes) {
+  const mpq = openMpq(bytes);
+  if (!mpq.has("replay.tracker.events")) {
+    throw new Error("This replay has no tracker events (recorded before patch 2.0.8) and can't be imported");
+  }
+  const details = decodeValue(await mpq.readFile("replay.details"));
+  const events = decodeTrackerEvents(await mpq.readFile("replay.tracker.events"));
+  return { ...readDetails(details, events), events };
+}
+
+// The player's first `minutes` of production as build JSON
+export function replayToBuild(replay, playerId, { minutes = 6 } = {}) {
+  const player = replay.players.find(p => p.id === playerId);
+  if (!player) throw new Error(`No player ${playerId} in this replay`);
+  const owners = new Map(); // unit tag index → controlling player
+  const supply = []; // [loop, food used]
+  const starts = []; // [loop, catalog name]
+
+  for (const { loop, id, data } of replay.events) {
+    switch (id) {
+      case TRACKER_EVENTS.playerStats:
+        if (data[0] === playerId) supply.push([loop, Math.round(data[1][29] / 4096)]);
+        break;
+      case TRACKER_EVENTS.unitInit: // structures, add-ons and warp-ins start here
+      case TRACKER_EVENTS.unitBorn: {
+        owners.set(data[0], data[3]);
+        const entry = stepEntry(blobText(data[2]));
+        if (!entry || data[3] !== playerId || loop === 0) break;
+        const backdate = id === TRACKER_EVENTS.unitBorn ? entry.time * LOOPS_PER_SECOND : 0;
+        starts.push([loop - backdate, entry.name]);
+        break;
+      }
+      case TRACKER_EVENTS.unitTypeChange: {
+        const type = blobText(data[2]);
+        if (owners.get(data[0]) !== playerId) break;
+        if (COCOONS[type]) starts.push([loop, COCOONS[type]]);
+        else if (MORPHS.has(type)) {
+          const entry = stepEntry(type);
+          starts.push([loop - entry.time * LOOPS_PER_SECOND, entry.name]);
+        }
+        break;
+      }
+      case TRACKER_EVENTS.upgrade: {
+        const entry = stepEntry(blobText(data[1]));
+        if (entry && data[0] === playerId && loop > 0) {
+          starts.push([loop - entry.time * LOOPS_PER_SECOND, entry.name]);
+        }
+        break;
+      }
+    }
+  }
+
+  const supplyAt = loop => supply.filter(([l]) => l <= loop).at(-1)?.[1] ?? DEFAULT_SUPPLY;
+  const steps = [];
+  for (const [loop, action] of starts.sort((a, b) => a[0] - b[0])) {
+    const seconds = Math.max(0, Math.round(loop / LOOPS_PER_SECOND));
+    if (seconds >= minutes * 60) break;
+    const time = formatTime(seconds);
+    const last = steps.at(-1);
+    if (last && last.time === time && last.name === action) {
+      last.count++;
+      continue;
+    }
+    steps.push({ time, supply: supplyAt(loop), name: action, count: 1 });
+  }
+
+  const { build } = analyzeBuild({
+    race: player.race ?? "Unknown",
+    steps: steps.map(({ time, supply, name, count }) => ({
+      time,
+      supply,
+      action: count > 1 ? `${name} x${count}` : name,
+    })),
+  });
+  const opponent = replay.players.find(p => p.id !== playerId);
+  const letter = race => (race && race !== "Unknown" ? race[0] : "X");
+  const matchup = `${letter(build.race)}v${letter(opponent?.race)}`;
+  return {
+    name: `${player.name}${opponent ? ` vs ${opponent.name}` : ""} (${matchup} Replay)`,
+    ...build,
+  };
+}
@@ -0,0 +1,119 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { beforeAll, describe, expect, it } from "vitest";
+import { openMpq } from "./mpq";
+import { blobText, decodeValue } from "./s2protocol";
+import { readDetails, readReplay, replayToBuild } from "./replayImport";
+
+const fixture = name => new Uint8Array(fs.readFileSync(path.join(import.meta.dirname, "fixtures", name)));
+
+// A real replay from mpyq's tests (see fixtures/README.md), recorded before
+// tracker events existed
+describe("real replay", () => {
+  const sha1 = data => crypto.createHash("sha1").update(data).digest("hex");
+  let mpq;
+  beforeAll(() => {
+    mpq = openMpq(fixture("mpyq-test.SC2Replay"));
+  });
+
+  it("unpacks files as mpyq does", async () => {
+    // bzip2 in one unit, and in many sectors
+    expect(sha1(await mpq.readFile("replay.details"))).toBe("4d2b8afa20c10144187878dd293d17ef7a362cc0");
+    const gameEvents = await mpq.readFile("replay.game.events");
+    expect(gameEvents.length).toBe(479869);
+    expect(sha1(gameEvents)).toBe("452ae0f849897fc6488865a0c1c4cddecdca7cf0");
+  });
+
+  it("decodes the header", () => {
+    const header = decodeValue(mpq.userData);
+    expect(blobText(header[0])).toBe("StarCraft II replay\x1b11");
+    expect(header[1][4]).toBe(16223); // client build
+  });
+
+  it("reads the map and players from replay.details", async () => {
+    const { map, players } = readDetails(decodeValue(await mpq.readFile("replay.details")));
+    expect(map).toBe("Toxic Slums");
+    expect(players.map(p => [p.id, p.name, p.race, p.result])).toEqual([
+      [1, "narod", "Protoss", "win"],
+      [2, "arkx", "Protoss", "win"],
+      [3, "min", "Protoss", "win"],
+      [4, "liekki", "Terran", "win"],
+      [5, "Rev", "Terran", "loss"],
+      [6, "Embegee", "Zerg", "loss"],
+      [7, "Brutanic", "Protoss", "loss"],
+      [8, "Blitzkrieg", "Protoss", "loss"],
+    ]);
+  });
+
+  it("is refused for import, having no tracker events", async () => {
+    await expect(readReplay(fixture("mpyq-test.SC2Replay"))).rejects.toThrow("no tracker events");
+  });
+});
+
+// Hand-made short TvZ written by scripts/make_replay_fixture.py, covering
+// step extraction; the events behind the steps below are listed there
+const bytes = () => fixture("tvz-opening.SC2Replay");
+
+let replay;
+beforeAll(async () => {
+  replay = await readReplay(bytes());
+});
+
+describe("readReplay", () => {
+  it("reads the map and players, with tracker ids from the lobby slots", () => {
+    expect(replay.map).toBe("Alcyone LE");
+    expect(replay.players).toEqual([
+      { id: 2, name: "Alice", race: "Terran", result: "win" },
+      { id: 1, name: "Bob", race: "Zerg", result: "loss" },
+    ]);
+  });
+
+  it("keeps the replay header as the archive's user data", () => {
+    expect(blobText(decodeValue(openMpq(bytes()).userData)[0])).toBe("StarCraft II replay\x1b11");
+  });
+
+  it("rejects files that aren't replays", async () => {
+    await expect(readReplay(new TextEncoder().encode("not a replay"))).rejects.toThrow("Not an MPQ archive");
+  });
+});
+
+describe("replayToBuild", () => {
+  it("turns one player's first six minutes into steps", () => {
+    expect(replayToBuild(replay, 2)).toEqual({
+      name: "Alice vs Bob (TvZ Replay)",
+      race: "Terran",
+      steps: [
+        { time: "0:05", supply: 12, action: "SCV" },
+        { time: "0:17", supply: 13, action: "SCV" },
+        { time: "0:18", supply: 13, action: "Supply Depot" },
+        { time: "0:29", supply: 14, action: "SCV" },
+        { time: "0:40", supply: 15, action: "Barracks" },
+        { time: "0:41", supply: 15, action: "SCV" },
+        { time: "0:42", supply: 15, action: "Refinery" },
+        { time: "1:20", supply: 16, action: "Barracks Reactor" },
+        { time: "1:28", supply: 16, action: "Reaper" },
+        { time: "1:30", supply: 16, action: "Orbital Command" },
+        { time: "1:55", supply: 17, action: "Marine x2" },
+        { time: "2:41", supply: 19, action: "Combat Shield" },
+      ],
+    });
+  });
+
+  it("follows morphs of the player's own units only", () => {
+    expect(replayToBuild(replay, 1).steps.map(s => `${s.time} ${s.action}`)).toEqual([
+      "0:17 Drone",
+      "0:50 Spawning Pool",
+      "1:33 Zergling x2",
+      "2:30 Baneling",
+    ]);
+  });
+
+  it("cuts the build off at the requested length", () => {
+    expect(replayToBuild(replay, 2, { minutes: 1 }).steps.at(-1)).toEqual({ time: "0:42", supply: 15, action: "Refinery" });
+  });
+
+  it("throws for a player who isn't in the replay", () => {
+    expect(() => replayToBuild(replay, 5)).toThrow("No player 5 in this replay");
+  });
+});
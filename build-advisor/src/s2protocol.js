@@ -0,0 +1,116 @@
+// build-advisor/src/s2protocol.js
+// Decoder for the self-describing "versioned" format Blizzard uses for
+// replay.details and replay.tracker.events (see s2protocol). Every value
+// carries its own type tag, so no per-build protocol tables are needed:
+// structs come back as objects keyed by field tag ({ 0: ..., 1: ... }).
+
+const ARRAY = 0;
+const BITARRAY = 1;
+const BLOB = 2;
+const CHOICE = 3;
+const OPTIONAL = 4;
+const STRUCT = 5;
+const U8 = 6;
+const U32 = 7;
+const U64 = 8;
+const VINT = 9;
+
+class VersionedDecoder {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.pos = 0;
+  }
+
+  done() {
+    return this.pos >= this.bytes.length;
+  }
+
+  byte() {
+    if (this.done()) throw new Error("Replay data ended unexpectedly");
+    return this.bytes[this.pos++];
+  }
+
+  take(n) {
+    if (this.pos + n > this.bytes.length) throw new Error("Replay data ended unexpectedly");
+    return this.bytes.subarray(this.pos, (this.pos += n));
+  }
+
+  // Sign in bit 0, then 6 value bits; 0x80 means another 7 bits follow
+  vint() {
+    let b = this.byte();
+    const negative = b & 1;
+    let value = (b >> 1) & 0x3f;
+    let scale = 64;
+    while (b & 0x80) {
+      b = this.byte();
+      value += (b & 0x7f) * scale;
+      scale *= 128;
+    }
+    return negative ? -value : value;
+  }
+
+  value() {
+    const type = this.byte();
+    switch (type) {
+      case ARRAY: {
+        const length = this.vint();
+        return Array.from({ length }, () => this.value());
+      }
+      case BITARRAY: return this.take(Math.ceil(this.vint() / 8));
+      case BLOB: return this.take(this.vint());
+      case CHOICE: {
+        const tag = this.vint();
+        return { tag, value: this.value() };
+      }
+      case OPTIONAL: return this.byte() ? this.value() : null;
+      case STRUCT: {
+        const result = {};
+        for (let n = this.vint(); n > 0; n--) {
+          const tag = this.vint();
+          result[tag] = this.value();
+        }
+        return result;
+      }
+      case U8: return this.byte();
+      case U32: return this.take(4).reduce((n, b) => n * 256 + b, 0);
+      case U64: return this.take(8).reduce((n, b) => n * 256 + b, 0);
+      case VINT: return this.vint();
+      default: throw new Error(`Unknown replay value type ${type}`);
+    }
+  }
+}
+
+const text = new TextDecoder();
+
+export function blobText(blob) {
+  return blob instanceof Uint8Array ? text.decode(blob) : "";
+}
+
+export function decodeValue(bytes) {
+  return new VersionedDecoder(bytes).value();
+}
+
+// Tracker event ids used by the importer
+export const TRACKER_EVENTS = {
+  playerStats: 0,
+  unitBorn: 1,
+  unitDied: 2,
+  unitTypeChange: 4,
+  upgrade: 5,
+  unitInit: 6,
+  unitDone: 7,
+  playerSetup: 9,
+};
+
+// [{ loop, id, data }] in game loop order; data fields keep their numeric tags
+export function decodeTrackerEvents(bytes) {
+  const decoder = new VersionedDecoder(bytes);
+  const events = [];
+  let loop = 0;
+  while (!decoder.done()) {
+    loop += decoder.value().value; // delta is a choice of differently sized ints
+    const id = decoder.value();
+    events.push({ loop, id, data: decoder.value() });
+  }
+  return events;
+}
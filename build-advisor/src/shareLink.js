@@ -0,0 +1,61 @@
+// build-advisor/src/shareLink.js
+// Self-contained share links: the whole build is deflated and base64url
+// encoded into the URL fragment (#build=…), so no server is involved and
+// the fragment never leaves the browser.
+
+const HASH_KEY = "build";
+// Payload prefixes: "z" = deflate-raw compressed JSON, "j" = plain JSON
+// (browsers without CompressionStream)
+const COMPRESSED = "z";
+const PLAIN = "j";
+
+// Builds above this many characters won't fit in a QR code
+export const QR_MAX_LENGTH = 2900;
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function pipe(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+export async function encodeBuild(build) {
+  const bytes = new TextEncoder().encode(JSON.stringify(build));
+  if (typeof CompressionStream === "undefined") return PLAIN + toBase64Url(bytes);
+  return COMPRESSED + toBase64Url(await pipe(bytes, new CompressionStream("deflate-raw")));
+}
+
+export async function decodeBuild(payload) {
+  const kind = payload[0];
+  let bytes = fromBase64Url(payload.slice(1));
+  if (kind === COMPRESSED) {
+    if (typeof DecompressionStream === "undefined") {
+      throw new Error("This browser cannot open compressed share links.");
+    }
+    bytes = await pipe(bytes, new DecompressionStream("deflate-raw"));
+  } else if (kind !== PLAIN) {
+    throw new Error("Unrecognized share link format");
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+export async function buildShareUrl(build) {
+  const payload = await encodeBuild(build);
+  return `${window.location.origin}${import.meta.env.BASE_URL}#${HASH_KEY}=${payload}`;
+}
+
+// The encoded payload from a location hash, or null if it isn't a share link
+export function readSharePayload(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  return params.get(HASH_KEY);
+}
@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { decodeBuild, encodeBuild, readSharePayload } from "./shareLink";
+
+const build = { name: "Test (TvZ)", race: "Terran", steps: [{ time: "0:18", supply: 14, action: "Supply Depot" }] };
+
+describe("share links", () => {
+  it("round-trips a build through the compressed payload", async () => {
+    const payload = await encodeBuild(build);
+    expect(payload[0]).toBe("z");
+    expect(payload).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(await decodeBuild(payload)).toEqual(build);
+  });
+
+  it("reads plain JSON payloads", async () => {
+    const plain = "j" + btoa(JSON.stringify(build)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    expect(await decodeBuild(plain)).toEqual(build);
+  });
+
+  it("rejects unknown formats", async () => {
+    await expect(decodeBuild("qabc")).rejects.toThrow("Unrecognized share link format");
+  });
+
+  it("finds the payload in a location hash", () => {
+    expect(readSharePayload("#build=zabc")).toBe("zabc");
+    expect(readSharePayload("#other=1")).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+// build-advisor/src/textImport.js
+// Parses build orders pasted as plain text (Spawning Tool, Liquipedia, notes)
+// into build JSON steps. Understands lines such as:
+//   14  0:17  Supply Depot      (supply, time, action)
+//   0:40 16 Barracks x2        (time, supply, action)
+//   0:40 Barracks              (time, action; supply carried from the line above)
+
+const TIME_TOKEN = /^(\d{1,2}):(\d{2})$/;
+const SUPPLY_TOKEN = /^(\d{1,3})(?:\/\d{1,3})?$/; // "14" or "14/15"
+const HEADER_LINE = /^(supply|time|action|step|\s)+$/i;
+// Bullets, list numbering and separators that surround the useful tokens
+const LEADING_NOISE = /^(?:[-–—•*]+|\d+[.)])\s+/;
+const SEPARATOR = /^[-–—:|]+$/;
+
+function normalizeTime(m, s) {
+  return `${Number(m)}:${s}`;
+}
+
+// Returns { step } or { error } for a single non-empty line
+function parseLine(line, prevSupply) {
+  const tokens = line.replace(LEADING_NOISE, "").split(/[\s|]+/).filter(Boolean);
+  let time = null;
+  let supply = null;
+  let i = 0;
+
+  // Supply and/or time lead the line, in either order
+  while (i < tokens.length && (time === null || supply === null)) {
+    const tok = tokens[i];
+    const t = TIME_TOKEN.exec(tok);
+    const s = SUPPLY_TOKEN.exec(tok);
+    if (SEPARATOR.test(tok)) {
+      i++;
+      continue;
+    }
+    if (t && time === null) {
+      if (Number(t[2]) > 59) return { error: `invalid time "${tok}"` };
+      time = normalizeTime(t[1], t[2]);
+    } else if (s && supply === null) {
+      supply = Number(s[1]);
+    } else {
+      break;
+    }
+    i++;
+  }
+
+  while (i < tokens.length && SEPARATOR.test(tokens[i])) i++;
+  const action = tokens.slice(i).join(" ").trim();
+
+  if (time === null) return { error: "no mm:ss time found" };
+  if (!action) return { error: "no action found" };
+
+  return {
+    step: { supply: supply ?? prevSupply, time, action },
+    warning: supply === null ? `no supply; using ${prevSupply} from the line above` : null,
+  };
+}
+
+// Parses pasted text into steps. Every non-blank line is reported back in
+// `lines` with its outcome so the UI can preview and flag it.
+export function parseBuildText(text) {
+  const steps = [];
+  const lines = [];
+  let prevSupply = 12;
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || HEADER_LINE.test(line)) return;
+
+    const result = parseLine(line, prevSupply);
+    if (result.step) {
+      steps.push(result.step);
+      prevSupply = result.step.supply;
+    }
+    lines.push({ lineNumber: index + 1, text: line, ...result });
+  });
+
+  return { steps, lines };
+}
@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { parseBuildText } from "./textImport";
+
+describe("parseBuildText", () => {
+  it("reads supply/time and time/supply lines and skips headers", () => {
+    const { steps } = parseBuildText("Supply Time Action\n14  0:17  Supply Depot\n0:40 16 Barracks x2\n");
+    expect(steps).toEqual([
+      { supply: 14, time: "0:17", action: "Supply Depot" },
+      { supply: 16, time: "0:40", action: "Barracks x2" },
+    ]);
+  });
+
+  it("carries supply from the line above and flags it", () => {
+    const { steps, lines } = parseBuildText("- 16 0:40 Barracks\n- 0:45 Refinery");
+    expect(steps[1]).toEqual({ supply: 16, time: "0:45", action: "Refinery" });
+    expect(lines[1].warning).toMatch(/no supply/);
+  });
+
+  it("reports lines it can't read", () => {
+    const { steps, lines } = parseBuildText("just a note\n14 0:75 Depot");
+    expect(steps).toEqual([]);
+    expect(lines.map(l => l.error)).toEqual(["no mm:ss time found", 'invalid time "0:75"']);
+  });
+});
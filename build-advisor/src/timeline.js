@@ -0,0 +1,52 @@
+// build-advisor/src/timeline.js
+// Turns build steps into timeline bars (start → completion) using the
+// bundled build-time table, and finds production structures left idle.
+
+import { BUILD_TIMES } from "./data/buildTimes";
+import { resolveAction, splitActionItems } from "./actionCatalog";
+
+// Every structure that trains or researches something
+const PRODUCERS = new Set(
+  Object.values(BUILD_TIMES).flatMap(table => Object.values(table).map(e => e.producer).filter(Boolean))
+);
+
+const isProducer = item => item.kind === "structure" && PRODUCERS.has(item.label);
+
+// steps: output of enrichSteps. Returns one bar per action item, and one per
+// building for production structures ("Barracks x2"):
+// { key, stepIndex, label, kind, producer, start, end, idleUntil }
+export function computeTimeline(steps, race) {
+  const items = [];
+  for (const step of steps) {
+    splitActionItems(step.action).forEach(({ name, count }, i) => {
+      const entry = resolveAction(name, race);
+      const item = {
+        key: `${step.index}:${i}`,
+        stepIndex: step.index,
+        label: entry?.name ?? name,
+        kind: entry?.kind ?? "unknown",
+        producer: entry?.producer ?? null,
+        start: step.start,
+        end: step.start + (entry?.time ?? 0),
+      };
+      if (!isProducer(item) || count < 2) items.push(item);
+      else for (let n = 0; n < count; n++) items.push({ ...item, key: `${item.key}:${n}` });
+    });
+  }
+
+  // A finished production structure is idle until something is queued from
+  // it. Each building has its own queue: work goes to the finished one of its
+  // type that has been free the longest.
+  const buildings = items.filter(isProducer).map(item => ({ item, freeAt: item.end, used: false }));
+  for (const job of items.filter(item => item.producer).sort((a, b) => a.start - b.start)) {
+    const building = buildings
+      .filter(b => b.item.label === job.producer && b.item.end <= job.start)
+      .sort((a, b) => a.freeAt - b.freeAt)[0];
+    if (!building) continue;
+    if (!building.used && job.start > building.item.end) building.item.idleUntil = job.start;
+    building.used = true;
+    building.freeAt = Math.max(building.freeAt, job.end);
+  }
+
+  return items;
+}
@@ -0,0 +1,23 @@
+import { describe, expect, it } from "vitest";
+import { enrichSteps } from "./buildUtils";
+import { computeTimeline } from "./timeline";
+
+const timeline = steps => computeTimeline(enrichSteps(steps.map(([time, action]) => ({ time, supply: 20, action }))), "Terran");
+
+describe("computeTimeline", () => {
+  it("ends each bar after the action's build time", () => {
+    const [depot] = timeline([["0:18", "Supply Depot"]]);
+    expect(depot).toMatchObject({ label: "Supply Depot", kind: "structure", start: 18, end: 39 });
+  });
+
+  it("gives each production building its own idle time", () => {
+    // Barracks finish at 1:26 and 1:46; one Marine at 1:50 uses the first
+    const bars = timeline([["0:40", "Barracks"], ["1:00", "Barracks"], ["1:50", "Marine"]]);
+    expect(bars.filter(b => b.label === "Barracks").map(b => b.idleUntil)).toEqual([110, undefined]);
+  });
+
+  it("splits several buildings of one step into a bar each", () => {
+    const bars = timeline([["0:40", "Barracks x2"], ["1:30", "Marine"], ["1:40", "Marine"]]);
+    expect(bars.filter(b => b.label === "Barracks").map(b => b.idleUntil)).toEqual([90, 100]);
+  });
+});
@@ -0,0 +1,79 @@
+// build-advisor/src/useGameClock.js
+// Drift-free game clock. Elapsed time is derived from a wall-clock anchor
+// instead of counting interval ticks, so throttled or backgrounded tabs
+// catch up on the next render rather than falling behind.
+
+import { useCallback, useEffect, useState } from "react";
+
+// Multiplier from real seconds to displayed game seconds
+export const GAME_SPEEDS = [
+  { label: "Real time (LotV)", value: 1 },
+  { label: "Game seconds (HotS, ×1.4)", value: 1.4 },
+];
+
+const TICK_MS = 250;
+
+// anchor: { base, startedAt, speed }
+// - base: game seconds elapsed when the clock was last anchored
+// - startedAt: Date.now() at that moment, or null while paused
+function elapsedAt(anchor, now) {
+  if (anchor.startedAt === null) return anchor.base;
+  return anchor.base + ((now - anchor.startedAt) / 1000) * anchor.speed;
+}
+
+// initialAnchor resumes a clock saved earlier (e.g. before a reload)
+export function useGameClock(initialAnchor) {
+  const [anchor, setAnchor] = useState(() => initialAnchor ?? { base: 0, startedAt: null, speed: 1 });
+  const [now, setNow] = useState(() => Date.now());
+  const running = anchor.startedAt !== null;
+
+  // Re-render while running; the value itself comes from the anchor
+  useEffect(() => {
+    if (!running) return;
+    const tick = () => setNow(Date.now());
+    const id = setInterval(tick, TICK_MS);
+    document.addEventListener("visibilitychange", tick);
+    return () => {
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [running]);
+
+  // Re-anchors at the current instant, keeping the running/paused state
+  const reanchor = useCallback((update) => {
+    const t = Date.now();
+    setNow(t);
+    setAnchor(a => {
+      const next = update({ ...a, base: elapsedAt(a, t), startedAt: a.startedAt === null ? null : t }, t);
+      return { ...next, base: Math.max(0, next.base) };
+    });
+  }, []);
+
+  const start = useCallback(() => reanchor((a, t) => ({ ...a, startedAt: a.startedAt ?? t })), [reanchor]);
+  const pause = useCallback(() => reanchor(a => ({ ...a, startedAt: null })), [reanchor]);
+  const reset = useCallback(() => reanchor(a => ({ ...a, base: 0, startedAt: null })), [reanchor]);
+  const nudge = useCallback((delta) => reanchor(a => ({ ...a, base: a.base + delta })), [reanchor]);
+  const setTime = useCallback((seconds) => reanchor(a => ({ ...a, base: seconds })), [reanchor]);
+  const setSpeed = useCallback((speed) => reanchor(a => ({ ...a, speed })), [reanchor]);
+
+  // Adopt an anchor from another view (overlay, other tabs). Anchors use
+  // wall-clock timestamps, so they mean the same thing in every window.
+  const sync = useCallback((next) => {
+    setNow(Date.now());
+    setAnchor({ base: next.base, startedAt: next.startedAt, speed: next.speed ?? 1 });
+  }, []);
+
+  return {
+    seconds: Math.max(0, elapsedAt(anchor, now)),
+    running,
+    speed: anchor.speed,
+    anchor,
+    start,
+    pause,
+    reset,
+    nudge,
+    setTime,
+    setSpeed,
+    sync,
+  };
+}
@@ -0,0 +1,34 @@
+// build-advisor/src/useSpeech.js
+// Thin wrapper around the Web Speech API for spoken step callouts.
+
+import { useCallback, useEffect, useState } from "react";
+
+const synth = typeof window !== "undefined" ? window.speechSynthesis : undefined;
+
+export function useSpeech() {
+  const [voices, setVoices] = useState(() => synth?.getVoices() ?? []);
+
+  // Voices load asynchronously in most browsers
+  useEffect(() => {
+    if (!synth) return;
+    const update = () => setVoices(synth.getVoices());
+    update();
+    synth.addEventListener("voiceschanged", update);
+    return () => synth.removeEventListener("voiceschanged", update);
+  }, []);
+
+  // settings: { voice (voiceURI), rate, volume }
+  const speak = useCallback((text, settings = {}) => {
+    if (!synth || !text) return;
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = synth.getVoices().find(v => v.voiceURI === settings.voice);
+    if (voice) utterance.voice = voice;
+    utterance.rate = settings.rate ?? 1;
+    utterance.volume = settings.volume ?? 1;
+    synth.speak(utterance);
+  }, []);
+
+  const cancel = useCallback(() => synth?.cancel(), []);
+
+  return { supported: Boolean(synth), voices, speak, cancel };
+}
@@ -1,7 +1,48 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { VitePWA } from 'vite-plugin-pwa';
+import { buildOrders } from './buildOrdersPlugin';
+import { overlayRelay } from './overlayRelayPlugin';
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Validates public/build-orders and generates its index.json
+    buildOrders(),
+    // Lets an OBS browser source overlay follow the Advisor when run locally
+    overlayRelay(),
+    // Installable PWA: precaches the app shell, every bundled build order and
+    // the notification sound so the advisor works without a connection.
+    VitePWA({
+      registerType: 'autoUpdate',
+      manifest: {
+        name: 'SC2 Waterfall Build Advisor',
+        short_name: 'SC2 Waterfall',
+        description: 'StarCraft II build orders and timings.',
+        theme_color: '#0a0a0a',
+        background_color: '#0a0a0a',
+        display: 'standalone',
+        icons: [
+          { src: 'icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,json,mp3}'],
+        maximumFileSizeToCacheInBytes: 4 * 1024 * 1024,
+        navigateFallback: 'index.html',
+        runtimeCaching: [
+          {
+            // Tailwind is loaded from its CDN in index.html
+            urlPattern: /^https:\/\/cdn\.tailwindcss\.com\//,
+            handler: 'StaleWhileRevalidate',
+            options: {
+              cacheName: 'tailwind-cdn',
+              cacheableResponse: { statuses: [0, 200] },
+            },
+          },
+        ],
+      },
+    }),
+  ],
   base: '/sc2-waterfall/', // if deploying to GitHub Pages
-});
\ No newline at end of file
+});
@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+// Unit tests cover the pure modules and the build-orders checks, so they
+// run without the app's Vite plugins (build-orders index, PWA).
+export default defineConfig({
+  test: {
+    include: ['*.test.js', 'src/**/*.test.js'],
+  },
+});
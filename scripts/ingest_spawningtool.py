@@ -1,4 +1,5 @@
 import json
+import subprocess
 import sys
 import re
 from pathlib import Path
@@ -6,8 +7,8 @@ from pathlib import Path
 import requests
 from bs4 import BeautifulSoup
 
-BUILD_DIR = Path("../build-advisor/public/build-orders")
-INDEX_FILE = BUILD_DIR / "index.json"
+APP_DIR = Path("../build-advisor")
+BUILD_DIR = APP_DIR / "public" / "build-orders"
 
 BUILD_DIR.mkdir(parents=True, exist_ok=True)
 
@@ -17,16 +18,14 @@ def extract_build_id(url: str) -> str:
         raise ValueError(f"Invalid Spawning Tool URL: {url}")
     return match.group(1)
 
-def load_index():
-    if INDEX_FILE.exists():
-        return json.loads(INDEX_FILE.read_text(encoding="utf-8"))
-    return []
-
-def save_index(index):
-    INDEX_FILE.write_text(
-        json.dumps(index, indent=2),
-        encoding="utf-8"
-    )
+# index.json is generated from the build files by the app's build tooling
+# (buildOrdersPlugin.js), so there is one definition of its entries
+def update_index(added: int):
+    try:
+        subprocess.run(["npm", "run", "index:builds"], cwd=APP_DIR, check=True)
+        print(f"📇 index.json updated (+{added})")
+    except (OSError, subprocess.CalledProcessError) as e:
+        print(f"❌ index.json not updated ({e}); run `npm run index:builds` in build-advisor/")
 
 def ingest_build(url: str):
     build_id = extract_build_id(url)
@@ -81,7 +80,7 @@ def ingest_build(url: str):
     )
 
     print(f"💾 Saved {build_file}")
-    return { "id": build_id, "name": title }
+    return build_id
 
 def expand_inputs(args):
     urls = []
@@ -102,24 +101,18 @@ def main():
         sys.exit(1)
 
     urls = expand_inputs(sys.argv[1:])
-    index = load_index()
-    index_ids = {b["id"] for b in index}
-
-    new_entries = []
+    new_ids = []
 
     for url in urls:
         try:
-            entry = ingest_build(url)
-            if entry and entry["id"] not in index_ids:
-                new_entries.append(entry)
+            build_id = ingest_build(url)
+            if build_id:
+                new_ids.append(build_id)
         except Exception as e:
             print(f"❌ {url}: {e}")
 
-    if new_entries:
-        index.extend(new_entries)
-        index.sort(key=lambda b: b["name"].lower())
-        save_index(index)
-        print(f"📇 index.json updated (+{len(new_entries)})")
+    if new_ids:
+        update_index(len(new_ids))
 
 if __name__ == "__main__":
     main()
@@ -0,0 +1,240 @@
+"""Writes build-advisor/src/fixtures/tvz-opening.SC2Replay, the replay the
+importer's tests read.
+
+The replay is hand-made, not recorded: a short TvZ whose events are listed
+below, packed the way the game packs them (a user data header, then an MPQ
+archive with encrypted hash / block tables, replay.details as one unit,
+bzip2-compressed if that makes it smaller, and replay.tracker.events in
+zlib-compressed sectors). Run it from scripts/. Expected steps in
+src/replayImport.test.js follow from the events here; change both together.
+"""
+import bz2
+import struct
+import zlib
+from pathlib import Path
+
+APP_DIR = Path("../build-advisor")
+FIXTURE = APP_DIR / "src" / "fixtures" / "tvz-opening.SC2Replay"
+
+LOOPS_PER_SECOND = 22.4
+SECTOR_SHIFT = 3  # 4096-byte sectors, as the game writes them
+
+# Lobby slot 0 is Bob, slot 1 Alice; details lists Alice first
+ALICE, BOB = 2, 1
+
+# ---------------------------------------------------------------- versioned format
+
+def vint(n: int) -> bytes:
+    value = abs(n)
+    out = []
+    byte = ((value & 0x3F) << 1) | (n < 0)
+    value >>= 6
+    while value:
+        out.append(byte | 0x80)
+        byte = value & 0x7F
+        value >>= 7
+    out.append(byte)
+    return bytes(out)
+
+def v_int(n): return b"\x09" + vint(n)
+def v_u8(n): return b"\x06" + bytes([n])
+def v_u32(n): return b"\x07" + struct.pack(">I", n)
+def v_blob(text): data = text.encode(); return b"\x02" + vint(len(data)) + data
+def v_array(items): return b"\x00" + vint(len(items)) + b"".join(items)
+def v_choice(tag, value): return b"\x03" + vint(tag) + value
+def v_optional(value): return b"\x04\x00" if value is None else b"\x04\x01" + value
+def v_struct(fields): return b"\x05" + vint(len(fields)) + b"".join(vint(tag) + value for tag, value in fields.items())
+
+# ---------------------------------------------------------------- replay content
+
+def loop(seconds):
+    return round(seconds * LOOPS_PER_SECOND)
+
+def unit(tag, name, player):
+    return {0: v_int(tag), 1: v_int(1), 2: v_blob(name), 3: v_int(player), 4: v_int(player)}
+
+events = []  # (loop, id, fields)
+def add(at, event_id, fields):
+    events.append((at, event_id, fields))
+
+for player, slot in ((BOB, 0), (ALICE, 1)):
+    add(0, 9, {0: v_int(player), 1: v_int(1), 2: v_optional(v_int(slot)), 3: v_optional(v_int(slot))})
+
+# Starting workers and town halls: born at loop 0, not steps
+tags = iter(range(1, 1000))
+halls = {}
+for player, worker, hall in ((ALICE, "SCV", "CommandCenter"), (BOB, "Drone", "Hatchery")):
+    for _ in range(12):
+        add(0, 1, unit(next(tags), worker, player))
+    halls[player] = next(tags)
+    add(0, 1, unit(halls[player], hall, player))
+
+# Alice (Terran). Born units are backdated by their build time on import.
+for born in (17, 29, 41, 53):
+    add(loop(born), 1, unit(next(tags), "SCV", ALICE))
+add(loop(18), 6, unit(next(tags), "SupplyDepot", ALICE))
+add(loop(40), 6, unit(next(tags), "Barracks", ALICE))
+add(loop(42), 6, unit(next(tags), "RefineryRich", ALICE))
+add(loop(80), 6, unit(next(tags), "BarracksReactor", ALICE))
+add(loop(120), 1, unit(next(tags), "Reaper", ALICE))
+add(loop(115), 4, {0: v_int(halls[ALICE]), 1: v_int(1), 2: v_blob("OrbitalCommand")})
+for _ in range(2):
+    add(loop(133), 1, unit(next(tags), "Marine", ALICE))
+add(loop(240), 5, {0: v_int(ALICE), 1: v_blob("ShieldWall"), 2: v_int(1)})
+add(loop(390), 6, unit(next(tags), "Factory", ALICE))  # past the 6 minutes imported
+
+# Bob (Zerg)
+add(loop(29), 1, unit(next(tags), "Drone", BOB))
+add(loop(50), 6, unit(next(tags), "SpawningPool", BOB))
+add(loop(55), 1, unit(next(tags), "Larva", BOB))
+lings = [next(tags), next(tags)]
+for ling in lings:
+    add(loop(110), 1, unit(ling, "Zergling", BOB))
+add(loop(150), 4, {0: v_int(lings[0]), 1: v_int(1), 2: v_blob("BanelingCocoon")})
+add(loop(170), 2, {0: v_int(lings[0]), 1: v_int(1), 2: v_optional(v_int(ALICE))})
+
+# Player stats every 160 loops; food used rises as the units above start
+FOOD = {ALICE: [(0, 12), (5, 13), (17, 14), (29, 15), (41, 16), (88, 17), (115, 19)],
+        BOB: [(0, 12), (17, 13), (50, 12), (110, 13)]}
+for at in range(0, loop(360), 160):
+    for player, schedule in FOOD.items():
+        food = [used for seconds, used in schedule if loop(seconds) <= at][-1]
+        stats = {tag: v_int(0) for tag in range(39)}
+        stats[0] = v_int(50 + at // 4)  # minerals in the bank
+        stats[4] = v_int(food)  # active workers (roughly)
+        stats[29] = v_int(food * 4096)
+        stats[30] = v_int(15 * 4096)
+        add(at, 0, {0: v_int(player), 1: v_struct(stats)})
+
+events.sort(key=lambda e: e[0])
+
+def tracker_events():
+    out = bytearray()
+    last = 0
+    for at, event_id, fields in events:
+        delta = at - last
+        last = at
+        size_tag = 0 if delta < 1 << 6 else 1 if delta < 1 << 14 else 2 if delta < 1 << 22 else 3
+        out += v_choice(size_tag, v_int(delta)) + v_int(event_id) + v_struct(fields)
+    return bytes(out)
+
+def details():
+    def player(name, race, result, slot, toon):
+        return v_struct({
+            0: v_blob(name),
+            1: v_struct({0: v_u8(2), 1: v_u32(0x53325200), 2: v_int(1), 3: v_int(toon)}),
+            2: v_blob(race),
+            5: v_int(slot),
+            8: v_int(result),
+            9: v_optional(v_u8(slot)),
+        })
+    return v_struct({
+        0: v_optional(v_array([
+            player("[FIX]<sp/>Alice", "Terran", 1, 1, 1234567),
+            player("Bob", "Zerg", 2, 0, 7654321),
+        ])),
+        1: v_blob("Alcyone LE"),
+    })
+
+def header():
+    return v_struct({
+        0: v_blob("StarCraft II replay\x1b11"),
+        1: v_struct({0: v_int(1), 1: v_int(5), 2: v_int(0), 3: v_int(14), 4: v_int(93272), 5: v_int(93272)}),
+        3: v_int(events[-1][0]),
+    })
+
+# ---------------------------------------------------------------- MPQ archive
+
+FILE_EXISTS = 0x80000000
+FILE_SINGLE_UNIT = 0x01000000
+FILE_COMPRESS = 0x00000200
+
+def crypt_table():
+    table = [0] * 0x500
+    seed = 0x00100001
+    for i in range(0x100):
+        index = i
+        for _ in range(5):
+            seed = (seed * 125 + 3) % 0x2AAAAB
+            high = (seed & 0xFFFF) << 16
+            seed = (seed * 125 + 3) % 0x2AAAAB
+            table[index] = high | (seed & 0xFFFF)
+            index += 0x100
+    return table
+
+CRYPT = crypt_table()
+
+def hash_string(text, kind):
+    seed1, seed2 = 0x7FED7FED, 0xEEEEEEEE
+    for ch in text.upper():
+        c = ord(ch)
+        seed1 = (CRYPT[(kind << 8) + c] ^ (seed1 + seed2)) & 0xFFFFFFFF
+        seed2 = (c + seed1 + seed2 + (seed2 << 5) + 3) & 0xFFFFFFFF
+    return seed1
+
+def encrypt(data, key):
+    seed1, seed2 = key, 0xEEEEEEEE
+    out = bytearray()
+    for (value,) in struct.iter_unpack("<I", data):
+        seed2 = (seed2 + CRYPT[0x400 + (seed1 & 0xFF)]) & 0xFFFFFFFF
+        out += struct.pack("<I", (value ^ (seed1 + seed2)) & 0xFFFFFFFF)
+        seed1 = ((((~seed1) << 0x15) + 0x11111111) | (seed1 >> 0x0B)) & 0xFFFFFFFF
+        seed2 = (value + seed2 + (seed2 << 5) + 3) & 0xFFFFFFFF
+    return bytes(out)
+
+def single_unit(data):
+    packed = b"\x10" + bz2.compress(data)
+    return (packed, FILE_EXISTS | FILE_SINGLE_UNIT | FILE_COMPRESS) if len(packed) < len(data) else (data, FILE_EXISTS | FILE_SINGLE_UNIT)
+
+def sectored(data):
+    size = 512 << SECTOR_SHIFT
+    sectors = []
+    for start in range(0, len(data), size):
+        raw = data[start:start + size]
+        packed = b"\x02" + zlib.compress(raw, 9)
+        sectors.append(packed if len(packed) < len(raw) else raw)
+    table_size = (len(sectors) + 1) * 4
+    positions = [table_size]
+    for sector in sectors:
+        positions.append(positions[-1] + len(sector))
+    return struct.pack(f"<{len(positions)}I", *positions) + b"".join(sectors), FILE_EXISTS | FILE_COMPRESS
+
+def archive(files):
+    hash_entries = 16
+    body = bytearray()
+    blocks = []
+    for name, (packed, flags), size in files:
+        blocks.append((32 + len(body), len(packed), size, flags))
+        body += packed
+
+    hash_table = [(0xFFFFFFFF, 0xFFFFFFFF, 0xFFFF, 0xFFFF, 0xFFFFFFFF)] * hash_entries
+    for index, (name, _, _) in enumerate(files):
+        slot = hash_string(name, 0) & (hash_entries - 1)
+        while hash_table[slot][4] != 0xFFFFFFFF:
+            slot = (slot + 1) % hash_entries
+        hash_table[slot] = (hash_string(name, 1), hash_string(name, 2), 0, 0, index)
+
+    hash_bytes = encrypt(b"".join(struct.pack("<IIHHI", *e) for e in hash_table), hash_string("(hash table)", 3))
+    block_bytes = encrypt(b"".join(struct.pack("<IIII", *b) for b in blocks), hash_string("(block table)", 3))
+    hash_offset = 32 + len(body)
+    block_offset = hash_offset + len(hash_bytes)
+    size = block_offset + len(block_bytes)
+    head = struct.pack("<4sIIHHIIII", b"MPQ\x1a", 32, size, 0, SECTOR_SHIFT,
+                       hash_offset, block_offset, hash_entries, len(blocks))
+    return head + bytes(body) + hash_bytes + block_bytes
+
+def replay():
+    content = header()
+    archive_offset = 0x400
+    user_data = struct.pack("<4sIII", b"MPQ\x1b", 0x200, archive_offset, len(content)) + content
+    files = [
+        ("replay.details", single_unit(details()), len(details())),
+        ("replay.tracker.events", sectored(tracker_events()), len(tracker_events())),
+    ]
+    return user_data.ljust(archive_offset, b"\x00") + archive(files)
+
+if __name__ == "__main__":
+    FIXTURE.parent.mkdir(parents=True, exist_ok=True)
+    data = replay()
+    FIXTURE.write_bytes(data)
+    print(f"✔ {FIXTURE} ({len(data)} bytes, {len(events)} tracker events, {len(tracker_events())} bytes of them)")